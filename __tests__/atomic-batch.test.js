@@ -0,0 +1,36 @@
+const { publishAtomicBatch, MAX_BATCH_SIZE } = require('../nodes/lib/atomic-batch');
+
+describe('Atomic Batch', () => {
+  const createConnection = (reply) => ({
+    published: [],
+    publish(subject, data, options) { this.published.push({ subject, headers: options.headers }); },
+    async request(subject, data, options) {
+      this.published.push({ subject, headers: options.headers });
+      return { data: Buffer.from(JSON.stringify(reply)) };
+    }
+  });
+  const messages = (count) => Array.from({ length: count }, (_, i) => ({ subject: `recipes.${i}`, data: Buffer.from(String(i)) }));
+
+  test('should number the messages and commit the last one', async () => {
+    const nc = createConnection({ stream: 'RECIPES', seq: 12, count: 3 });
+    const result = await publishAtomicBatch(nc, messages(3));
+    expect(result).toMatchObject({ stream: 'RECIPES', seq: 12, count: 3 });
+    const batchIds = nc.published.map(message => message.headers.get('Nats-Batch-Id'));
+    expect(new Set(batchIds)).toEqual(new Set([result.batch]));
+    expect(nc.published.map(message => message.headers.get('Nats-Batch-Sequence'))).toEqual(['1', '2', '3']);
+    expect(nc.published.map(message => message.headers.get('Nats-Batch-Commit'))).toEqual(['', '', '1']);
+  });
+
+  test('should fail the whole batch with the error of the commit reply', async () => {
+    const nc = createConnection({ error: { code: 400, err_code: 10174, description: 'atomic publish is disabled' } });
+    await expect(publishAtomicBatch(nc, messages(2)))
+      .rejects.toMatchObject({ code: 'ATOMIC_BATCH_REJECTED', apiCode: 10174 });
+  });
+
+  test('should reject empty and oversized batches before publishing', async () => {
+    const nc = createConnection({});
+    await expect(publishAtomicBatch(nc, [])).rejects.toMatchObject({ code: 'ATOMIC_BATCH_EMPTY' });
+    await expect(publishAtomicBatch(nc, messages(MAX_BATCH_SIZE + 1))).rejects.toMatchObject({ code: 'ATOMIC_BATCH_TOO_LARGE' });
+    expect(nc.published).toHaveLength(0);
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBufferWal } = require('../nodes/lib/buffer-wal');
+
+describe('Buffer Write-Ahead Log', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nats-suite-wal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const segments = () => fs.readdirSync(dir).sort();
+
+  test('should replay added and removed messages in order', () => {
+    const wal = createBufferWal({ dir, segmentSize: 64 });
+    const msgs = [1, 2, 3, 4].map(n => ({ topic: `t${n}`, payload: n }));
+    msgs.forEach(msg => wal.append(msg));
+    wal.remove([msgs[1]]);
+    wal.close();
+    expect(segments().length).toBeGreaterThan(1);
+
+    const recovered = createBufferWal({ dir }).recover();
+    expect(recovered.truncated).toBe(false);
+    expect(recovered.messages.map(msg => msg.topic)).toEqual(['t1', 't3', 't4']);
+  });
+
+  test('should cut a truncated last record', () => {
+    const wal = createBufferWal({ dir });
+    wal.append({ topic: 'a', payload: 'complete' });
+    wal.append({ topic: 'b', payload: 'torn' });
+    wal.close();
+    const file = path.join(dir, segments()[0]);
+    fs.truncateSync(file, fs.statSync(file).size - 5);
+
+    const warnings = [];
+    const reopened = createBufferWal({ dir, onWarn: text => warnings.push(text) });
+    const recovered = reopened.recover();
+    expect(recovered.truncated).toBe(true);
+    expect(warnings).toHaveLength(1);
+    expect(recovered.messages.map(msg => msg.topic)).toEqual(['a']);
+
+    reopened.append({ topic: 'c' });
+    reopened.close();
+    expect(createBufferWal({ dir }).recover().messages.map(msg => msg.topic)).toEqual(['a', 'c']);
+  });
+
+  test('should compact to the remaining messages', () => {
+    const wal = createBufferWal({ dir, segmentSize: 64 });
+    const msgs = [1, 2, 3].map(n => ({ topic: `t${n}` }));
+    msgs.forEach(msg => wal.append(msg));
+    wal.compact([msgs[2]]);
+    wal.close();
+    expect(segments()).toHaveLength(1);
+    expect(createBufferWal({ dir }).recover().messages).toEqual([{ topic: 't3', _walSeq: 3 }]);
+  });
+
+  test('should sync the directory after creating a segment and before deleting compacted ones', () => {
+    const events = [];
+    const files = new Map(); // fd -> path
+    const { openSync, fsyncSync, unlinkSync } = fs;
+    jest.spyOn(fs, 'openSync').mockImplementation((file, flags) => {
+      const fd = openSync(file, flags);
+      files.set(fd, file);
+      return fd;
+    });
+    jest.spyOn(fs, 'fsyncSync').mockImplementation(fd => {
+      events.push(`fsync ${path.basename(files.get(fd))}`);
+      fsyncSync(fd);
+    });
+    jest.spyOn(fs, 'unlinkSync').mockImplementation(file => {
+      events.push(`unlink ${path.basename(file)}`);
+      unlinkSync(file);
+    });
+    try {
+      const wal = createBufferWal({ dir });
+      const msgs = [1, 2].map(n => ({ topic: `t${n}` }));
+      msgs.forEach(msg => wal.append(msg));
+      expect(events.slice(0, 2)).toEqual([`fsync ${path.basename(dir)}`, 'fsync segment-00000001.wal']);
+
+      events.length = 0;
+      wal.compact([msgs[1]]);
+      wal.close();
+      expect(events.slice(-2)).toEqual([`fsync ${path.basename(dir)}`, 'unlink segment-00000001.wal']);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
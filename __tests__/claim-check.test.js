@@ -0,0 +1,73 @@
+const { headers } = require('nats');
+const {
+  getClaimThreshold, getClaimBucketOptions, syncClaimBucketTtl, bindClaimStore, createClaimName, storeClaim, setClaimHeaders, getClaimReference, fetchClaim
+} = require('../nodes/lib/claim-check');
+
+describe('Claim-Check', () => {
+  const createStore = () => {
+    const objects = new Map();
+    return {
+      putBlob: async (meta, data) => {
+        objects.set(meta.name, Buffer.from(data));
+        return { name: meta.name, size: data.length };
+      },
+      getBlob: async (name) => (objects.has(name) ? new Uint8Array(objects.get(name)) : null),
+      objects
+    };
+  };
+
+  test('should derive the threshold and bucket TTL', () => {
+    expect(getClaimThreshold(500000, 1048576)).toBe(500000);
+    expect(getClaimThreshold(0, 1048576)).toBe(1048576 - 8192);
+    expect(getClaimBucketOptions(60)).toEqual({ storage: 'file', ttl: 60 * 1e9 });
+    expect(getClaimBucketOptions(0, 'memory')).toEqual({ storage: 'memory' });
+  });
+
+  test('should store, reference and fetch a payload', async () => {
+    const os = createStore();
+    const payload = Buffer.alloc(2048, 7);
+    const reference = await storeClaim(os, 'claims', createClaimName('camera.snapshot'), payload);
+    expect(reference).toEqual({ bucket: 'claims', object: expect.stringMatching(/^camera\.snapshot\//), size: 2048 });
+
+    const hdrs = setClaimHeaders(headers(), reference);
+    expect(getClaimReference(hdrs)).toEqual(reference);
+    expect(getClaimReference(headers())).toBeNull();
+    expect(await fetchClaim(os, reference)).toEqual(payload);
+  });
+
+  test('should report expired claims', async () => {
+    await expect(fetchClaim(createStore(), { bucket: 'claims', object: 'gone' }))
+      .rejects.toMatchObject({ code: 'CLAIM_CHECK_NOT_FOUND' });
+  });
+});
+
+describe('Claim-Check Buckets', () => {
+  const createManager = (streams) => ({
+    streams: {
+      info: jest.fn(async (name) => {
+        if (!streams[name]) throw new Error('stream not found');
+        return { config: streams[name] };
+      }),
+      update: jest.fn(async (name, config) => {
+        streams[name] = config;
+      })
+    }
+  });
+
+  test('should update the TTL of an existing bucket', async () => {
+    const streams = { OBJ_claims: { name: 'OBJ_claims', max_age: 0 } };
+    const jsm = createManager(streams);
+    expect(await syncClaimBucketTtl(jsm, 'claims', 60)).toBe(0);
+    expect(streams.OBJ_claims).toEqual({ name: 'OBJ_claims', max_age: 60 * 1e9 });
+    expect(await syncClaimBucketTtl(jsm, 'claims', 60)).toBeNull();
+    expect(jsm.streams.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('should bind to existing buckets only', async () => {
+    const js = { views: { os: jest.fn(async name => ({ name })) } };
+    const jsm = createManager({ OBJ_claims: { name: 'OBJ_claims' } });
+    await expect(bindClaimStore(js, jsm, 'claims')).resolves.toEqual({ name: 'claims' });
+    await expect(bindClaimStore(js, jsm, 'other')).rejects.toMatchObject({ code: 'CLAIM_CHECK_NOT_FOUND' });
+    expect(js.views.os).toHaveBeenCalledTimes(1);
+  });
+});
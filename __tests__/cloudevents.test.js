@@ -0,0 +1,40 @@
+const { headers } = require('nats');
+const {
+  createCloudEvent, encodeData, toStructured, setBinaryHeaders, setStructuredHeaders, parseCloudEvent
+} = require('../nodes/lib/cloudevents');
+
+describe('CloudEvents', () => {
+  const attributes = { id: 'evt-1', source: '/plant/muc', type: 'com.example.reading', time: '2026-01-01T00:00:00.000Z' };
+  const payload = { value: 21.5 };
+
+  test('should round-trip a structured mode event', () => {
+    const event = createCloudEvent(attributes, payload);
+    const hdrs = setStructuredHeaders(headers());
+
+    const parsed = parseCloudEvent(hdrs, Buffer.from(toStructured(event, payload)));
+
+    expect(parsed.event).toEqual({ ...attributes, specversion: '1.0', datacontenttype: 'application/json' });
+    expect(parsed.data).toEqual(payload);
+  });
+
+  test('should round-trip a binary mode event with extension attributes', () => {
+    const event = createCloudEvent({ ...attributes, datacontenttype: 'application/cbor', plant: 'muc' }, payload);
+    const hdrs = setBinaryHeaders(headers(), event);
+
+    expect(hdrs.get('ce-type')).toBe('com.example.reading');
+    expect(hdrs.get('Content-Type')).toBe('application/cbor');
+
+    const parsed = parseCloudEvent(hdrs, encodeData(event, payload));
+
+    expect(parsed.event.plant).toBe('muc');
+    expect(parsed.event.datacontenttype).toBe('application/cbor');
+    expect(parsed.data).toEqual(payload);
+  });
+
+  test('should reject events without required attributes and ignore other messages', () => {
+    expect(() => createCloudEvent({ id: 'evt-1', source: '/plant' }, payload))
+      .toThrow(expect.objectContaining({ code: 'CLOUDEVENTS_ERROR' }));
+    expect(parseCloudEvent(headers(), Buffer.from('{"value":1}'))).toBeNull();
+    expect(parseCloudEvent(undefined, Buffer.from('{"value":1}'), true)).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+const { createDedupWindow } = require('../nodes/lib/dedup-window');
+
+describe('Dedup Window', () => {
+  test('should drop IDs seen within the window', () => {
+    const dedup = createDedupWindow(1000);
+    expect(dedup.isDuplicate('a', 0)).toBe(false);
+    expect(dedup.isDuplicate('a', 500)).toBe(true);
+    expect(dedup.isDuplicate('b', 500)).toBe(false);
+    expect(dedup.isDuplicate('a', 1001)).toBe(false);
+  });
+
+  test('should check IDs without recording them', () => {
+    const dedup = createDedupWindow(1000);
+    expect(dedup.has('a', 0)).toBe(false);
+    expect(dedup.isDuplicate('a', 0)).toBe(false);
+    expect(dedup.has('a', 500)).toBe(true);
+    expect(dedup.has('a', 1001)).toBe(false);
+  });
+
+  test('should forget the oldest IDs above the size limit', () => {
+    const dedup = createDedupWindow(1000, 2);
+    ['a', 'b', 'c'].forEach(id => dedup.isDuplicate(id, 0));
+    expect(dedup.isDuplicate('d', 0)).toBe(false);
+    expect(dedup.size()).toBe(2);
+    expect(dedup.isDuplicate('a', 0)).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { parseKey, encrypt, decrypt, getEnvelopeKeyId } = require('../nodes/lib/envelope-encryption');
+
+describe('Envelope Encryption', () => {
+  const activeKey = crypto.randomBytes(32);
+  const previousKey = crypto.randomBytes(32);
+  const keyRing = new Map([['2026-01', activeKey], ['2025-12', previousKey]]);
+  const getKey = keyId => keyRing.get(keyId) || null;
+
+  test('should decrypt with the key named in the envelope', () => {
+    const current = encrypt(activeKey, '2026-01', Buffer.from('{"name":"Jane"}'));
+    const older = encrypt(previousKey, '2025-12', Buffer.from('rotated'));
+
+    expect(getEnvelopeKeyId(current)).toBe('2026-01');
+    expect(decrypt(getKey, current).toString()).toBe('{"name":"Jane"}');
+    expect(decrypt(getKey, older).toString()).toBe('rotated');
+  });
+
+  test('should reject unknown key ids and tampered payloads', () => {
+    const envelope = encrypt(activeKey, '2026-01', Buffer.from('secret'));
+    const tampered = Buffer.from(envelope);
+    tampered[tampered.length - 20] ^= 0xff;
+
+    expect(() => decrypt(() => null, envelope)).toThrow(expect.objectContaining({ code: 'UNKNOWN_KEY_ID', keyId: '2026-01' }));
+    expect(() => decrypt(getKey, tampered)).toThrow(expect.objectContaining({ code: 'DECRYPT_ERROR' }));
+    expect(() => decrypt(getKey, Buffer.from('plain'))).toThrow(expect.objectContaining({ code: 'DECRYPT_ERROR' }));
+  });
+
+  test('should accept base64 and hex keys of 256 bits only', () => {
+    expect(parseKey(activeKey.toString('base64'))).toEqual(activeKey);
+    expect(parseKey(activeKey.toString('hex'))).toEqual(activeKey);
+    expect(() => parseKey('c2hvcnQ=')).toThrow(expect.objectContaining({ code: 'INVALID_KEY' }));
+  });
+});
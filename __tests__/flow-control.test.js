@@ -0,0 +1,35 @@
+const { getPriority, sortByPriority, selectDropIndex, createKeyedRateLimiter } = require('../nodes/lib/flow-control');
+
+describe('Flow Control', () => {
+  const queue = [
+    { id: 1, priority: 'low' },
+    { id: 2 },
+    { id: 3, priority: 'critical' },
+    { id: 4, priority: 'low' },
+    { id: 5, priority: 10 }
+  ];
+
+  test('should drain higher priorities first and keep FIFO within a priority', () => {
+    expect(getPriority({ priority: 'HIGH' })).toBe(3);
+    expect(getPriority({ priority: 'unknown' })).toBe(2);
+    expect(sortByPriority(queue).map(msg => msg.id)).toEqual([5, 3, 2, 1, 4]);
+  });
+
+  test('should drop from the lowest priority class on overflow', () => {
+    expect(selectDropIndex(queue, 2, 'drop-oldest')).toBe(0);
+    expect(selectDropIndex(queue, 2, 'drop-newest')).toBe(3);
+    expect(selectDropIndex(queue, 1, 'drop-oldest')).toBe(0);
+    expect(selectDropIndex(queue, 1, 'drop-newest')).toBe(-1);
+    expect(selectDropIndex(queue, 0, 'drop-oldest')).toBe(-1);
+    expect(selectDropIndex([{ id: 1 }], 2, 'drop-on-full')).toBe(-1);
+  });
+
+  test('should limit each key separately', () => {
+    const limiter = createKeyedRateLimiter({ rate: 2, window: 1000, burst: 0 });
+    expect(limiter.take('a', 0)).toBe(true);
+    expect(limiter.take('a', 0)).toBe(true);
+    expect(limiter.take('a', 0)).toBe(false);
+    expect(limiter.take('b', 0)).toBe(true);
+    expect(limiter.canTake('a', 500)).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+const { headers } = require('nats');
+const { headersToObject, parseHeaderFilter, headersMatch } = require('../nodes/lib/header-filter');
+
+const createHeaders = (entries) => {
+  const hdrs = headers();
+  entries.forEach(([name, value]) => hdrs.append(name, value));
+  return hdrs;
+};
+
+describe('Header Filter', () => {
+  test('should match header names case-insensitively', () => {
+    const filter = parseHeaderFilter('{"content-type": "application/json", "X-SOURCE": true}');
+    const hdrs = createHeaders([['Content-Type', 'application/json'], ['x-source', 'plc-1']]);
+
+    expect(headersMatch(hdrs, filter)).toBe(true);
+    expect(headersMatch(createHeaders([['Content-Type', 'application/json']]), filter)).toBe(false);
+  });
+
+  test('should match exact values, regular expressions and presence', () => {
+    const filter = parseHeaderFilter('{"X-Source": "/^plc-\\\\d+$/", "X-Line": 3, "X-Trace": true}');
+
+    expect(headersMatch(createHeaders([['X-Source', 'plc-12'], ['X-Line', '3'], ['X-Trace', '']]), filter)).toBe(true);
+    expect(headersMatch(createHeaders([['X-Source', 'plc-a'], ['X-Line', '3'], ['X-Trace', '']]), filter)).toBe(false);
+    expect(headersMatch(createHeaders([['X-Source', 'plc-12'], ['X-Line', '30'], ['X-Trace', '']]), filter)).toBe(false);
+  });
+
+  test('should match if any value of a multi-value header matches', () => {
+    const filter = parseHeaderFilter('{"X-Tag": "critical"}');
+
+    expect(headersMatch(createHeaders([['X-Tag', 'info'], ['X-Tag', 'critical']]), filter)).toBe(true);
+    expect(headersMatch(createHeaders([['X-Tag', 'info'], ['x-tag', 'critical']]), filter)).toBe(true);
+    expect(headersMatch(createHeaders([['X-Tag', 'info'], ['X-Tag', 'debug']]), filter)).toBe(false);
+  });
+
+  test('should not match messages without headers', () => {
+    const filter = parseHeaderFilter('{"X-Trace": true}');
+
+    expect(headersMatch(undefined, filter)).toBe(false);
+    expect(headersMatch(null, parseHeaderFilter('{}'))).toBe(false);
+  });
+
+  test('should reject filters that are not JSON objects', () => {
+    expect(() => parseHeaderFilter('["X-Trace"]')).toThrow('Header filter must be a JSON object');
+    expect(() => parseHeaderFilter('null')).toThrow('Header filter must be a JSON object');
+    expect(() => parseHeaderFilter('{')).toThrow(SyntaxError);
+  });
+
+  test('should join multi-value headers unless arrays are kept', () => {
+    const hdrs = createHeaders([['X-Tag', 'a'], ['X-Tag', 'b'], ['X-Source', 'plc-1']]);
+
+    expect(headersToObject(hdrs, false)).toEqual({ 'X-Tag': 'a, b', 'X-Source': 'plc-1' });
+    expect(headersToObject(hdrs, true)).toEqual({ 'X-Tag': ['a', 'b'], 'X-Source': 'plc-1' });
+  });
+});
@@ -0,0 +1,30 @@
+const { headers, nkeys } = require('nats');
+const { signMessage, verifyMessage } = require('../nodes/lib/message-signing');
+
+describe('Message Signing', () => {
+  const signer = nkeys.createUser();
+  const payload = Buffer.from('{"value":21.5}');
+
+  const signedHeaders = () => {
+    const hdrs = headers();
+    hdrs.set('Content-Type', 'application/json');
+    return signMessage(signer, hdrs, payload, ['Content-Type']);
+  };
+
+  test('should verify a message signed by a trusted key', () => {
+    const result = verifyMessage(signedHeaders(), payload, new Set([signer.getPublicKey()]));
+
+    expect(result).toEqual({ valid: true, publicKey: signer.getPublicKey() });
+  });
+
+  test('should report why verification failed', () => {
+    const trusted = new Set([signer.getPublicKey()]);
+    const tamperedHeaders = signedHeaders();
+    tamperedHeaders.set('Content-Type', 'text/plain');
+
+    expect(verifyMessage(headers(), payload, trusted).code).toBe('SIGNATURE_MISSING');
+    expect(verifyMessage(signedHeaders(), payload, new Set()).code).toBe('SIGNATURE_UNTRUSTED_KEY');
+    expect(verifyMessage(signedHeaders(), Buffer.from('{"value":99}'), trusted).code).toBe('SIGNATURE_INVALID');
+    expect(verifyMessage(tamperedHeaders, payload, trusted).code).toBe('SIGNATURE_INVALID');
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROTO = `
+syntax = "proto3";
+package telemetry.v1;
+
+message Location {
+  double lat = 1;
+  double lon = 2;
+}
+
+message Reading {
+  string sensor_id = 1;
+  double value = 2;
+  Location loc = 3;
+}
+`;
+
+describe('NATS Protobuf Schema Node', () => {
+  let tmpDir;
+  let schema;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nats-proto-'));
+    fs.writeFileSync(path.join(tmpDir, 'reading.proto'), PROTO);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    let NodeConstructor;
+    const mockRED = {
+      nodes: {
+        createNode: jest.fn((node) => {
+          node.on = jest.fn();
+          node.log = jest.fn();
+          node.warn = jest.fn();
+        }),
+        registerType: jest.fn((type, constructor) => {
+          NodeConstructor = constructor;
+        }),
+        getNode: jest.fn(),
+      },
+      httpAdmin: { get: jest.fn() },
+      auth: { needsPermission: jest.fn(() => (req, res, next) => next()) },
+    };
+    require('../nodes/nats-suite-protobuf-schema')(mockRED);
+    schema = new NodeConstructor({ id: 'schema-1', source: 'file', protoFiles: path.join(tmpDir, 'reading.proto') });
+  });
+
+  test('should round-trip a payload and list message types', async () => {
+    const payload = { sensor_id: 'T-1', value: 21.5, loc: { lat: 48.1, lon: 11.6 } };
+
+    const encoded = await schema.encode('telemetry.v1.Reading', payload);
+
+    expect(Buffer.isBuffer(encoded.data)).toBe(true);
+    expect(encoded.typeName).toBe('telemetry.v1.Reading');
+    expect(await schema.decode('telemetry.v1.Reading', encoded.data)).toEqual(payload);
+    expect(await schema.getMessageTypes()).toEqual(['telemetry.v1.Location', 'telemetry.v1.Reading']);
+  });
+
+  test('should name the offending field on invalid payloads', async () => {
+    await expect(schema.encode('telemetry.v1.Reading', { value: 'warm' }))
+      .rejects.toMatchObject({ code: 'PROTOBUF_ENCODE_ERROR', type: 'telemetry.v1.Reading', field: 'value' });
+    await expect(schema.encode('telemetry.v1.Reading', { loc: { lat: 'north' } }))
+      .rejects.toMatchObject({ field: 'loc.lat' });
+    await expect(schema.encode('telemetry.v1.Missing', {}))
+      .rejects.toMatchObject({ code: 'PROTOBUF_UNKNOWN_TYPE' });
+  });
+});
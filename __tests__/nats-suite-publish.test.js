@@ -1,68 +1,506 @@
-const nats = require('nats');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringCodec } = require('nats');
+const { createBufferWal } = require('../nodes/lib/buffer-wal');
 
-// Mock Node-RED
+const sc = StringCodec();
+
+// Mock Node-RED: handlers, context and admin routes are recorded for the tests
 const mockRED = {
   nodes: {
-    createNode: jest.fn(),
+    createNode: jest.fn((node, config) => {
+      const handlers = {};
+      const store = new Map();
+      const flowStore = new Map();
+      const globalStore = new Map();
+      const toContext = map => ({ get: jest.fn(key => map.get(key)), set: jest.fn((key, value) => map.set(key, value)) });
+      const context = { ...toContext(store), flow: toContext(flowStore), global: toContext(globalStore) };
+      node.id = config.id;
+      node.log = jest.fn();
+      node.warn = jest.fn();
+      node.error = jest.fn();
+      node.status = jest.fn();
+      node.send = jest.fn();
+      node.context = () => context;
+      node.on = jest.fn((event, handler) => (handlers[event] = handler));
+      node.receive = jest.fn(msg => handlers.input.call(node, msg));
+      node.handlers = handlers;
+    }),
+    registerType: jest.fn(),
     getNode: jest.fn(),
   },
+  httpAdmin: {
+    get: jest.fn(),
+    post: jest.fn(),
+  },
+  auth: {
+    needsPermission: jest.fn(() => (req, res, next) => next()),
+  },
+  util: {
+    getMessageProperty: (msg, path) => path.split('.').reduce((value, key) => value[key], msg),
+  },
+  settings: {},
 };
 
-// Mock NATS connection
-const mockNatsConnection = {
-  publish: jest.fn(),
-  close: jest.fn(),
+// Mock server config node with a connection that records published messages
+const createServerConfig = () => {
+  const connection = {
+    publish: jest.fn(),
+    flush: jest.fn(() => Promise.resolve()),
+    isClosed: jest.fn(() => false),
+    info: { max_payload: 1048576 },
+  };
+  return {
+    connection,
+    connectionStatus: 'disconnected',
+    connectionStats: { reconnectAttempts: 0 },
+    drainTimeout: 1000,
+    addStatusListener: jest.fn(),
+    removeStatusListener: jest.fn(),
+    registerConnectionUser: jest.fn(),
+    unregisterConnectionUser: jest.fn(),
+    getConnection: jest.fn(() => Promise.resolve(connection)),
+    withDrainTimeout: jest.fn(promise => promise),
+  };
 };
 
-jest.mock('nats', () => ({
-  connect: jest.fn(() => Promise.resolve(mockNatsConnection)),
-  StringCodec: {
-    encode: jest.fn(data => Buffer.from(data)),
-    decode: jest.fn(data => data.toString()),
-  },
-}));
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+// Calls the admin route handler registered for method and path
+const callRoute = async (method, path, params, body) => {
+  const call = mockRED.httpAdmin[method].mock.calls.find(args => args[0] === path);
+  const res = createResponse();
+  await call[call.length - 1]({ params, body }, res);
+  return res;
+};
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const publishedSubjects = (serverConfig) => serverConfig.connection.publish.mock.calls.map(args => args[0]);
+const publishedValues = (serverConfig) => serverConfig.connection.publish.mock.calls.map(args => JSON.parse(sc.decode(args[1])).value);
 
 describe('NATS Publish Node', () => {
   let NatsPublishNode;
+  let serverConfig;
+  let nodes;
+
+  const createPublishNode = (config) => {
+    const node = new NatsPublishNode({ server: 'server-1', name: 'Test Node', ...config });
+    nodes[config.id] = node;
+    return node;
+  };
 
   beforeEach(() => {
     jest.clearAllMocks();
-    // Dynamically require the module after mocking
-    delete require.cache[require.resolve('../nats-suite-publish')];
-    NatsPublishNode = require('../nats-suite-publish')(mockRED);
+    nodes = {};
+    serverConfig = createServerConfig();
+    mockRED.nodes.getNode.mockImplementation(id => (id === 'server-1' ? serverConfig : nodes[id]));
+    delete require.cache[require.resolve('../nodes/nats-suite-publish')];
+    require('../nodes/nats-suite-publish')(mockRED);
+    NatsPublishNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  afterEach(async () => {
+    await Promise.all(Object.values(nodes).map(node => new Promise(resolve => node.handlers.close.call(node, resolve))));
   });
 
   test('should create node with correct configuration', () => {
-    const config = {
-      server: 'test-server',
-      dataformat: 'uns_value',
-      datapointid: 'test.datapoint',
-      name: 'Test Node',
-    };
+    const config = { id: 'publish-1', dataformat: 'uns_value', datapointid: 'test.datapoint' };
+    const node = createPublishNode(config);
 
-    const node = new NatsPublishNode(config);
-    expect(mockRED.nodes.createNode).toHaveBeenCalledWith(node, config);
+    expect(mockRED.nodes.createNode).toHaveBeenCalledWith(node, expect.objectContaining(config));
+    expect(serverConfig.registerConnectionUser).toHaveBeenCalledWith('publish-1', expect.any(Object));
   });
 
   test('should handle uns_value data format correctly', async () => {
-    const config = {
-      server: 'test-server',
-      dataformat: 'uns_value',
-      datapointid: 'test.datapoint',
-      name: 'Test Node',
+    const node = createPublishNode({ id: 'publish-1', dataformat: 'uns_value', datapointid: 'test.datapoint' });
+    serverConfig.connectionStatus = 'connected';
+
+    await node.handlers.input({ payload: 'test value' });
+
+    expect(serverConfig.connection.publish).toHaveBeenCalledTimes(1);
+    const [subject, data] = serverConfig.connection.publish.mock.calls[0];
+    expect(subject).toBe('uns.test.datapoint');
+    expect(JSON.parse(sc.decode(data))).toMatchObject({ value: 'test value', datatype: 4, id: 'test.datapoint' });
+  });
+
+  describe('Buffer admin', () => {
+    const bufferConfig = {
+      dataformat: 'string',
+      datapointid: 'plant.{{line}}',
+      enableBuffer: true,
+      bufferSize: 10,
+      bufferPersistence: 'none',
+    };
+
+    const bufferMessages = async (node, lines) => {
+      for (const line of lines) {
+        await node.handlers.input({ payload: `value-${line}`, line });
+      }
+    };
+
+    test('should list buffered messages with their resolved subject', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      await bufferMessages(node, ['l1', 'l2']);
+
+      const res = await callRoute('get', '/nats-suite-publish/:id/buffer', { id: 'publish-1' });
+
+      const list = res.json.mock.calls[0][0];
+      expect(list).toMatchObject({ enabled: true, connected: false, count: 2 });
+      expect(list.messages.map(entry => entry.subject)).toEqual(['plant.l1', 'plant.l2']);
+      expect(list.messages.every(entry => typeof entry.id === 'string')).toBe(true);
+    });
+
+    test('should answer 404 for unknown nodes and 409 if buffering is disabled', async () => {
+      createPublishNode({ id: 'publish-1', dataformat: 'string', datapointid: 'plant.a' });
+
+      const missing = await callRoute('get', '/nats-suite-publish/:id/buffer', { id: 'unknown' });
+      expect(missing.status).toHaveBeenCalledWith(404);
+
+      const disabled = await callRoute('post', '/nats-suite-publish/:id/buffer/import', { id: 'publish-1' }, { data: '{"payload":"x"}' });
+      expect(disabled.status).toHaveBeenCalledWith(409);
+      expect(disabled.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'BUFFER_DISABLED' }));
+    });
+
+    test('should round-trip the buffer through export and import', async () => {
+      const source = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      const target = createPublishNode({ id: 'publish-2', ...bufferConfig });
+      await bufferMessages(source, ['l1', 'l2']);
+
+      const exported = await callRoute('get', '/nats-suite-publish/:id/buffer/export', { id: 'publish-1' });
+      expect(exported.set).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson');
+      const ndjson = exported.send.mock.calls[0][0];
+      expect(ndjson.trim().split('\n')).toHaveLength(2);
+
+      const imported = await callRoute('post', '/nats-suite-publish/:id/buffer/import', { id: 'publish-2' }, { data: ndjson });
+      expect(imported.json).toHaveBeenCalledWith({ imported: 2, skipped: 0, rejected: 0 });
+      expect(target.listBuffer().messages.map(entry => entry.id)).toEqual(source.listBuffer().messages.map(entry => entry.id));
+
+      // Same IDs again are skipped, lines that aren't JSON objects are rejected
+      expect(target.importBuffer(ndjson + 'not json\n[1]\n')).toEqual({ imported: 0, skipped: 2, rejected: 2 });
+    });
+
+    test('should resolve the subject of imported messages again instead of trusting _resolvedSubject', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      const lines = [
+        JSON.stringify({ payload: 'ok', line: 'l1', _resolvedSubject: 'admin.secrets' }),
+        JSON.stringify({ payload: 'no token', _resolvedSubject: 'plant.>' }),
+      ].join('\n');
+
+      expect(node.importBuffer(lines)).toEqual({ imported: 2, skipped: 0, rejected: 0 });
+      serverConfig.connectionStatus = 'connected';
+      await node.flushBufferNow();
+      await flushPromises();
+
+      expect(publishedSubjects(serverConfig)).toEqual(['plant.l1']);
+      expect(node.error).toHaveBeenCalledWith(expect.objectContaining({ code: 'SUBJECT_TEMPLATE_ERROR' }), expect.anything());
+    });
+
+    test('should drop buffered messages by ID or all', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      await bufferMessages(node, ['l1', 'l2', 'l3']);
+      const [first] = node.listBuffer().messages;
+
+      const invalid = await callRoute('post', '/nats-suite-publish/:id/buffer/drop', { id: 'publish-1' }, { ids: first.id });
+      expect(invalid.status).toHaveBeenCalledWith(400);
+
+      const dropped = await callRoute('post', '/nats-suite-publish/:id/buffer/drop', { id: 'publish-1' }, { ids: [first.id] });
+      expect(dropped.json).toHaveBeenCalledWith({ dropped: 1, remaining: 2 });
+      expect(node.listBuffer().messages.map(entry => entry.subject)).toEqual(['plant.l2', 'plant.l3']);
+
+      const all = await callRoute('post', '/nats-suite-publish/:id/buffer/drop', { id: 'publish-1' }, { ids: 'all' });
+      expect(all.json).toHaveBeenCalledWith({ dropped: 2, remaining: 0 });
+    });
+
+    test('should flush the buffer only while connected', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      await bufferMessages(node, ['l1', 'l2']);
+
+      const offline = await callRoute('post', '/nats-suite-publish/:id/buffer/flush', { id: 'publish-1' });
+      expect(offline.status).toHaveBeenCalledWith(503);
+      expect(offline.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NOT_CONNECTED' }));
+
+      serverConfig.connectionStatus = 'connected';
+      const flushed = await callRoute('post', '/nats-suite-publish/:id/buffer/flush', { id: 'publish-1' });
+      await flushPromises();
+
+      expect(flushed.json).toHaveBeenCalledWith({ flushed: 2, remaining: 0 });
+      expect(publishedSubjects(serverConfig)).toEqual(['plant.l1', 'plant.l2']);
+    });
+
+    test('should run buffer commands from msg.command', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig });
+      await bufferMessages(node, ['l1', 'l2']);
+
+      await node.handlers.input({ command: 'buffer-list' });
+      expect(node.send.mock.calls[0][0].payload).toMatchObject({ count: 2 });
+
+      await node.handlers.input({ command: 'buffer-export' });
+      const ndjson = node.send.mock.calls[1][0].payload;
+
+      await node.handlers.input({ command: 'buffer-drop', payload: 'all' });
+      expect(node.send.mock.calls[2][0].payload).toEqual({ dropped: 2, remaining: 0 });
+
+      await node.handlers.input({ command: 'buffer-import', payload: ndjson });
+      expect(node.send.mock.calls[3][0].payload).toEqual({ imported: 2, skipped: 0, rejected: 0 });
+
+      await node.handlers.input({ command: 'buffer-flush' });
+      expect(node.error).toHaveBeenCalledWith(expect.objectContaining({ code: 'NOT_CONNECTED', command: 'buffer-flush' }), expect.anything());
+
+      serverConfig.connectionStatus = 'connected';
+      await node.handlers.input({ command: 'buffer-flush' });
+      await flushPromises();
+      expect(node.send.mock.calls[4][0].payload).toEqual({ flushed: 2, remaining: 0 });
+      expect(publishedSubjects(serverConfig)).toEqual(['plant.l1', 'plant.l2']);
+
+      await node.handlers.input({ command: 'buffer-unknown' });
+      expect(node.error).toHaveBeenCalledWith(expect.objectContaining({ code: 'UNKNOWN_COMMAND' }), expect.anything());
+    });
+  });
+
+  describe('Buffer persistence', () => {
+    let userDir;
+
+    beforeEach(() => {
+      userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nats-suite-publish-'));
+      mockRED.settings.userDir = userDir;
+    });
+
+    afterEach(() => {
+      delete mockRED.settings.userDir;
+      fs.rmSync(userDir, { recursive: true, force: true });
+    });
+
+    test('should log messages restored from Context Storage with their message ID and without internal flags', async () => {
+      // Context Storage of an older version: no message IDs, a flush was running
+      const createNode = mockRED.nodes.createNode.getMockImplementation();
+      mockRED.nodes.createNode.mockImplementationOnce((node, config) => {
+        createNode(node, config);
+        node.context().set('messageQueue', [
+          { payload: 'value-a', line: 'a', _flushing: true },
+          { payload: 'value-b', line: 'b', _batched: true },
+        ]);
+      });
+
+      const node = createPublishNode({
+        id: 'publish-1',
+        dataformat: 'string',
+        datapointid: 'plant.{{line}}',
+        enableBuffer: true,
+        bufferSize: 10,
+        bufferPersistence: 'both',
+      });
+      const ids = node.listBuffer().messages.map(entry => entry.id);
+      await new Promise(resolve => node.handlers.close.call(node, resolve));
+      delete nodes['publish-1'];
+
+      const { messages } = createBufferWal({ dir: path.join(userDir, '.node-red', 'buffer', 'wal-publish-1') }).recover();
+      expect(ids.every(Boolean)).toBe(true);
+      expect(messages.map(msg => msg._msgID)).toEqual(ids);
+      expect(messages.some(msg => msg._flushing || msg._batched)).toBe(false);
+    });
+  });
+
+  describe('Buffer flow control', () => {
+    const bufferConfig = {
+      dataformat: 'string',
+      datapointid: 'plant.{{line}}',
+      enableBuffer: true,
+      bufferSize: 3,
+      bufferPersistence: 'none',
+    };
+
+    const bufferMessages = async (node, messages) => {
+      for (const [line, priority] of messages) {
+        await node.handlers.input({ payload: `value-${line}`, line, priority });
+      }
     };
 
-    const node = new NatsPublishNode(config);
-    const msg = { payload: 'test value' };
+    const bufferedSubjects = (node) => node.listBuffer().messages.map(entry => entry.subject);
+
+    test('should drop the oldest message on overflow regardless of priority by default', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig, bufferMode: 'drop-oldest' });
+
+      await bufferMessages(node, [['a', 'critical'], ['b', 'low'], ['c', 'low'], ['d', 'normal']]);
+
+      expect(bufferedSubjects(node)).toEqual(['plant.b', 'plant.c', 'plant.d']);
+    });
+
+    test('should drop the new message with drop-newest regardless of priority by default', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig, bufferMode: 'drop-newest' });
+
+      await bufferMessages(node, [['a', 'low'], ['b', 'low'], ['c', 'low'], ['d', 'critical']]);
+
+      expect(bufferedSubjects(node)).toEqual(['plant.a', 'plant.b', 'plant.c']);
+    });
 
-    // Mock the server config
-    node.config = {
-      getConnection: jest.fn(() => Promise.resolve(mockNatsConnection)),
-      addStatusListener: jest.fn(),
+    test('should drop the lowest priority first with priority drop enabled', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...bufferConfig, bufferMode: 'drop-oldest', bufferPriorityDrop: true });
+
+      await bufferMessages(node, [['a', 'critical'], ['b', 'low'], ['c', 'low'], ['d', 'normal'], ['e', 'low']]);
+
+      expect(bufferedSubjects(node)).toEqual(['plant.a', 'plant.d', 'plant.e']);
+    });
+
+    describe('Rate limited flush', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+      });
+
+      afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      });
+
+      test('should apply the keyed rate limit while flushing and send the rest later', async () => {
+        const node = createPublishNode({
+          id: 'publish-1',
+          ...bufferConfig,
+          bufferSize: 10,
+          enableRateLimit: true,
+          rateLimit: 1,
+          rateLimitWindow: 1000,
+          rateLimitBurst: 1,
+          rateLimitKey: 'subject',
+        });
+        await bufferMessages(node, [['l1'], ['l1'], ['l1'], ['l2']]);
+        serverConfig.connectionStatus = 'connected';
+
+        // Each subject starts with rate + burst = 2 tokens
+        expect(await node.flushBufferNow()).toEqual({ flushed: 3, remaining: 1 });
+        await jest.advanceTimersByTimeAsync(10);
+        expect(publishedSubjects(serverConfig)).toEqual(['plant.l1', 'plant.l1', 'plant.l2']);
+        expect(bufferedSubjects(node)).toEqual(['plant.l1']);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(publishedSubjects(serverConfig)).toEqual(['plant.l1', 'plant.l1', 'plant.l2', 'plant.l1']);
+        expect(node.listBuffer().count).toBe(0);
+      });
+    });
+  });
+
+  describe('Report by exception', () => {
+    const rbeConfig = { dataformat: 'uns_value', datapointid: 'line1.temperature', enableRbe: true };
+
+    const publishAll = async (node, payloads) => {
+      for (const payload of payloads) {
+        await node.handlers.input({ payload });
+      }
     };
 
-    await node.on.input(msg);
+    beforeEach(() => {
+      serverConfig.connectionStatus = 'connected';
+    });
+
+    test('should skip unchanged values per subject without a deadband', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig });
+
+      await publishAll(node, [20, 20, 20.5, 20.5, 20]);
+
+      expect(publishedValues(serverConfig)).toEqual(['20', '20.5', '20']);
+    });
+
+    test('should apply an absolute deadband around the last published value', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeDeadbandType: 'absolute', rbeDeadband: 0.5 });
+
+      // 20.4 stays within the band, 20.5 reaches it (compared with 20, not with the skipped 20.4)
+      await publishAll(node, [20, 20.4, 20.5, 20.1, 19.9, -20]);
+
+      expect(publishedValues(serverConfig)).toEqual(['20', '20.5', '19.9', '-20']);
+    });
+
+    test('should apply a percent deadband of the last published value', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeDeadbandType: 'percent', rbeDeadband: 10 });
+
+      // 10 % of 200 = 20, then 10 % of 220 = 22; from 0 any change counts (the band is 0)
+      await publishAll(node, [200, 219, 220, 241, 242, 0, 0, 0.001]);
+
+      expect(publishedValues(serverConfig)).toEqual(['200', '220', '242', '0', '0.001']);
+    });
+
+    test('should compare non-numeric payloads by value', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeDeadbandType: 'absolute', rbeDeadband: 5 });
+
+      await publishAll(node, ['10', '10', '11', 11, true, true, { a: 1 }, { a: 1 }, { a: 2 }]);
+
+      expect(publishedValues(serverConfig)).toEqual(['10', '11', '11', 'true', { a: 1 }, { a: 2 }]);
+    });
+
+    test('should not let NaN or Infinity get stuck in the deadband', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeDeadbandType: 'absolute', rbeDeadband: 1 });
+
+      await publishAll(node, [5, NaN, NaN, 5, Infinity, Infinity, 5]);
+
+      expect(publishedValues(serverConfig)).toEqual(['5', 'NaN', '5', 'Infinity', '5']);
+    });
+
+    test('should keep the last values in node context', async () => {
+      const node = createPublishNode({ id: 'publish-1', ...rbeConfig });
+
+      await publishAll(node, [7]);
+
+      expect(node.context().get('rbeLastSent')['uns.line1.temperature']).toMatchObject({ value: 7, datapointId: 'line1.temperature' });
+    });
+
+    describe('Max-silence heartbeat', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+      });
+
+      afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      });
+
+      test('should re-send the last value after the max silence', async () => {
+        const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeMaxSilence: 2 });
+        await publishAll(node, [20, 20]);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(publishedValues(serverConfig)).toEqual(['20']);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(node.receive).toHaveBeenCalledWith(expect.objectContaining({ payload: 20, _rbeHeartbeat: true }));
+        expect(publishedValues(serverConfig)).toEqual(['20', '20']);
+        expect(publishedSubjects(serverConfig)).toEqual(['uns.line1.temperature', 'uns.line1.temperature']);
+
+        // A changed value restarts the silence period
+        await jest.advanceTimersByTimeAsync(1000);
+        await publishAll(node, [21]);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(publishedValues(serverConfig)).toEqual(['20', '20', '21']);
+      });
+
+      test('should not send heartbeats while disconnected', async () => {
+        const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeMaxSilence: 1 });
+        await publishAll(node, [20]);
+        serverConfig.connectionStatus = 'disconnected';
+
+        await jest.advanceTimersByTimeAsync(3000);
+
+        expect(node.receive).not.toHaveBeenCalled();
+      });
+
+      test('should stop the heartbeat timer on close', async () => {
+        const node = createPublishNode({ id: 'publish-1', ...rbeConfig, rbeMaxSilence: 1 });
+        await publishAll(node, [20]);
+        expect(jest.getTimerCount()).toBe(1);
+
+        await new Promise(resolve => node.handlers.close.call(node, resolve));
+        delete nodes['publish-1'];
 
-    expect(mockNatsConnection.publish).toHaveBeenCalled();
+        expect(jest.getTimerCount()).toBe(0);
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(node.receive).not.toHaveBeenCalled();
+      });
+    });
   });
 });
@@ -0,0 +1,114 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+// Fake nats-server processes: "--version" answers with a version, a server reports ready.
+// The config file (-c) is captured at spawn time, stop deletes it.
+const mockConfigFiles = [];
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn((bin, args) => {
+    const { EventEmitter: Emitter } = require('events');
+    const processMock = new Emitter();
+    processMock.stdout = new Emitter();
+    processMock.stderr = new Emitter();
+    processMock.kill = jest.fn();
+    processMock.pid = 4711;
+    const configIndex = args.indexOf('-c');
+    if (configIndex >= 0) {
+      mockConfigFiles.push(JSON.parse(require('fs').readFileSync(args[configIndex + 1], 'utf8')));
+    }
+    setImmediate(() => {
+      if (args[0] === '--version') {
+        processMock.stderr.emit('data', Buffer.from('nats-server: v2.10.22'));
+        processMock.emit('close', 0);
+      } else {
+        processMock.stderr.emit('data', Buffer.from('Server is ready'));
+      }
+    });
+    return processMock;
+  }),
+}));
+
+const { spawn } = require('child_process');
+
+// Mock Node-RED
+const mockRED = {
+  nodes: {
+    createNode: jest.fn((node, config) => {
+      const events = new EventEmitter();
+      node.id = config.id;
+      node.log = jest.fn();
+      node.warn = jest.fn();
+      node.error = jest.fn();
+      node.status = jest.fn();
+      node.send = jest.fn();
+      node.on = (event, handler) => events.on(event, handler);
+      node.emit = (event, ...args) => events.listeners(event).map(handler => handler(...args));
+    }),
+    registerType: jest.fn(),
+  },
+};
+
+describe('NATS Server Manager Node - WebSocket Listener', () => {
+  let NatsServerManagerNode;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConfigFiles.length = 0;
+    // Startup timeout of the manager (10 s) must not keep the test run alive
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    delete require.cache[require.resolve('../nodes/nats-suite-server-manager')];
+    require('../nodes/nats-suite-server-manager')(mockRED);
+    NatsServerManagerNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  const start = async (config) => {
+    const node = new NatsServerManagerNode({ id: 'manager-1', autoStart: false, enableJetStream: false, ...config });
+    await Promise.all(node.emit('input', { topic: 'start' }));
+    return node;
+  };
+
+  const stop = async (node) => Promise.all(node.emit('close'));
+
+  test('should add a plain websocket block and report the ws:// URL', async () => {
+    const node = await start({ enableWebSocket: true, wsPort: 9222 });
+
+    expect(mockConfigFiles).toEqual([{ websocket: { port: 9222, no_tls: true } }]);
+    const started = node.send.mock.calls.find(([msg]) => msg.topic === 'server.started')[0];
+    expect(started.payload.websocketUrl).toBe('ws://localhost:9222');
+    await stop(node);
+  });
+
+  test('should configure TLS for the websocket listener of a leaf node', async () => {
+    const node = await start({
+      enableWebSocket: true,
+      enableLeafNodeMode: true,
+      wsTlsCertFile: '/certs/ws.pem',
+      wsTlsKeyFile: '/certs/ws.key',
+    });
+
+    expect(mockConfigFiles[0].websocket).toEqual({ port: 8080, tls: { cert_file: '/certs/ws.pem', key_file: '/certs/ws.key' } });
+    expect(mockConfigFiles[0].leafnodes).toBeDefined();
+    const started = node.send.mock.calls.find(([msg]) => msg.topic === 'server.started')[0];
+    expect(started.payload.websocketUrl).toBe('wss://localhost:8080');
+    await stop(node);
+  });
+
+  test('should remove the temporary config file on stop and skip it without websocket', async () => {
+    const node = await start({ enableWebSocket: true });
+    const serverArgs = spawn.mock.calls.find(([, args]) => args.includes('-c'))[1];
+    const configFile = serverArgs[serverArgs.indexOf('-c') + 1];
+    await stop(node);
+    expect(fs.existsSync(configFile)).toBe(false);
+
+    spawn.mockClear();
+    const plain = await start({ enableWebSocket: false });
+    expect(spawn.mock.calls.every(([, args]) => !args.includes('-c'))).toBe(true);
+    await stop(plain);
+  });
+});
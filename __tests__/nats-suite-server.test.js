@@ -0,0 +1,761 @@
+// Mock NATS connections: each connect() returns a new fake connection whose
+// status stream can be driven from the test
+const createMockConnection = (server = 'localhost:4222') => {
+  const events = [];
+  let wake = null;
+  const connection = {
+    closed: false,
+    getServer: () => server,
+    subscribe: jest.fn(subject => ({ subject, getSubject: () => subject, unsubscribe: jest.fn() })),
+    close: jest.fn(() => {
+      connection.closed = true;
+    }),
+    drain: jest.fn(() => {
+      connection.closed = true;
+      return Promise.resolve();
+    }),
+    isClosed: jest.fn(() => connection.closed),
+    status: () => ({
+      [Symbol.asyncIterator]: async function* () {
+        while (!connection.closed) {
+          if (events.length === 0) {
+            await new Promise(resolve => (wake = resolve));
+          }
+          while (events.length > 0) yield events.shift();
+        }
+      },
+    }),
+    emitStatus: event => {
+      events.push(event);
+      if (wake) wake();
+    },
+  };
+  return connection;
+};
+
+const mockConnections = [];
+
+jest.mock('nats', () => ({
+  connect: jest.fn(options => {
+    const connection = createMockConnection(new URL(options.servers[0]).host);
+    mockConnections.push(connection);
+    return Promise.resolve(connection);
+  }),
+  StringCodec: jest.fn(),
+  credsAuthenticator: jest.fn(),
+  tokenAuthenticator: jest.fn(token => ({ token })),
+  usernamePasswordAuthenticator: jest.fn(),
+}));
+
+// WebSocket transport: nats.ws connects like nats, sockets are recorded instead of opened
+const mockWebSockets = [];
+
+jest.mock('nats.ws', () => ({
+  connect: jest.fn(options => {
+    const connection = createMockConnection(new URL(options.servers[0]).host);
+    connection.wsFactory = options.wsFactory;
+    mockConnections.push(connection);
+    return Promise.resolve(connection);
+  }),
+}));
+
+jest.mock('ws', () => jest.fn((url, options) => {
+  const socket = { url, options };
+  mockWebSockets.push(socket);
+  return socket;
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nats = require('nats');
+
+// Mock Node-RED
+const mockRED = {
+  nodes: {
+    createNode: jest.fn((node, config) => {
+      const handlers = {};
+      node.id = config.id;
+      node.credentials = {};
+      node.log = jest.fn();
+      node.warn = jest.fn();
+      node.error = jest.fn();
+      node.status = jest.fn();
+      node.on = jest.fn((event, handler) => (handlers[event] = handler));
+      node.handlers = handlers;
+    }),
+    registerType: jest.fn(),
+    getNode: jest.fn(),
+    getCredentials: jest.fn(() => ({ pass: 'stored-secret' })),
+  },
+  httpAdmin: {
+    post: jest.fn(),
+    get: jest.fn(),
+  },
+  auth: {
+    needsPermission: jest.fn(() => (req, res, next) => next()),
+  },
+};
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('NATS Server Node - Subscription Registry', () => {
+  let NatsServerNode;
+  let node;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+
+    node = new NatsServerNode({ id: 'server-1', server: 'nats://localhost:4222' });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+  });
+
+  test('should open a registered subscription on the current connection', async () => {
+    const create = jest.fn(nc => nc.subscribe('test.subject'));
+
+    const handle = await node.registerSubscription('sub-1', { nodeId: 'node-1', create });
+
+    expect(create).toHaveBeenCalledWith(mockConnections[0]);
+    expect(handle.subject).toBe('test.subject');
+    expect(node.getPoolStats().subscriptions).toBe(1);
+  });
+
+  test('should re-create subscriptions on the new connection after a reconnect', async () => {
+    const create = jest.fn(nc => nc.subscribe('test.subject'));
+    const onRestored = jest.fn();
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create, onRestored });
+
+    mockConnections[0].closed = true;
+    mockConnections[0].emitStatus({ type: 'disconnect' });
+    await flushPromises();
+
+    expect(mockConnections).toHaveLength(2);
+    expect(create).toHaveBeenLastCalledWith(mockConnections[1]);
+    expect(onRestored).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'test.subject' })
+    );
+  });
+
+  test('should share a reconnect in flight with getConnection', async () => {
+    const create = jest.fn(nc => nc.subscribe('test.subject'));
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create });
+
+    let finishConnect;
+    nats.connect.mockImplementationOnce(options => new Promise(resolve => {
+      finishConnect = () => {
+        const connection = createMockConnection(new URL(options.servers[0]).host);
+        mockConnections.push(connection);
+        resolve(connection);
+      };
+    }));
+    mockConnections[0].closed = true;
+    mockConnections[0].emitStatus({ type: 'disconnect' });
+    await flushPromises();
+
+    const pending = node.getConnection();
+    finishConnect();
+    const connection = await pending;
+    await flushPromises();
+
+    expect(nats.connect).toHaveBeenCalledTimes(2);
+    expect(mockConnections).toHaveLength(2);
+    expect(connection).toBe(mockConnections[1]);
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create).toHaveBeenLastCalledWith(mockConnections[1]);
+  });
+
+  test('should not open a second connection while the first connect is in flight', async () => {
+    const other = new NatsServerNode({ id: 'server-race', server: 'nats://localhost:4223' });
+    const connection = await other.getConnection();
+    await flushPromises();
+
+    expect(nats.connect).toHaveBeenCalledTimes(2); // server-1 and server-race once each
+    expect(connection).toBe(mockConnections[1]);
+    other.handlers.close(() => {});
+  });
+
+  test('should drain subscriptions and the connection on close', async () => {
+    const drain = jest.fn(() => Promise.resolve());
+    await node.registerSubscription('sub-1', {
+      nodeId: 'node-1',
+      create: () => ({ drain, unsubscribe: jest.fn() }),
+    });
+
+    await node.unregisterSubscription('sub-1', { drain: true });
+    const done = jest.fn();
+    node.handlers.close(done);
+    await flushPromises();
+
+    expect(drain).toHaveBeenCalled();
+    expect(mockConnections[0].drain).toHaveBeenCalled();
+    expect(mockConnections[0].close).not.toHaveBeenCalled();
+    expect(done).toHaveBeenCalled();
+  });
+
+  test('should drain subscriptions unregistered after the config node started closing', async () => {
+    const drain = jest.fn(() => Promise.resolve());
+    const leftover = jest.fn(() => Promise.resolve());
+    await node.registerSubscription('sub-1', {
+      nodeId: 'node-1',
+      create: () => ({ drain, unsubscribe: jest.fn() }),
+    });
+    await node.registerSubscription('sub-2', {
+      nodeId: 'node-2',
+      create: () => ({ drain: leftover, unsubscribe: jest.fn() }),
+    });
+
+    // Node-RED closes config nodes before the nodes that use them
+    const done = jest.fn();
+    node.handlers.close(done);
+    await node.unregisterSubscription('sub-1', { drain: true });
+    await flushPromises();
+
+    expect(drain).toHaveBeenCalledTimes(1);
+    expect(leftover).toHaveBeenCalledTimes(1);
+    expect(mockConnections[0].drain).toHaveBeenCalled();
+    expect(node.getPoolStats().subscriptions).toBe(0);
+    expect(done).toHaveBeenCalled();
+  });
+
+  test('should close the handle on unregister', async () => {
+    const close = jest.fn();
+    await node.registerSubscription('watch-1', {
+      create: () => ({ stop: jest.fn() }),
+      close,
+    });
+
+    await node.unregisterSubscription('watch-1');
+
+    expect(close).toHaveBeenCalled();
+    expect(node.getPoolStats().subscriptions).toBe(0);
+  });
+});
+
+describe('NATS Server Node - File-based Secrets', () => {
+  let NatsServerNode;
+  let node;
+  let tokenFile;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    tokenFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nats-suite-')), 'token');
+    fs.writeFileSync(tokenFile, 'first-token\n');
+
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  afterEach(() => {
+    if (node) node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+    fs.rmSync(path.dirname(tokenFile), { recursive: true, force: true });
+  });
+
+  test('should read the token file on every connect', async () => {
+    node = new NatsServerNode({
+      id: 'server-2',
+      server: 'nats://localhost:4222',
+      authMethod: 'token',
+      tokenFile,
+      watchCredentialFiles: false,
+    });
+    await flushPromises();
+
+    const readToken = nats.tokenAuthenticator.mock.calls[0][0];
+    expect(readToken()).toBe('first-token');
+
+    fs.writeFileSync(tokenFile, 'second-token');
+    expect(readToken()).toBe('second-token');
+  });
+
+  test('should report a missing credentials file', async () => {
+    node = new NatsServerNode({
+      id: 'server-3',
+      server: 'nats://localhost:4222',
+      authMethod: 'credsfile',
+      credsFile: '/does/not/exist.creds',
+      watchCredentialFiles: false,
+    });
+    await flushPromises();
+
+    expect(node.error).toHaveBeenCalledWith(expect.stringContaining('/does/not/exist.creds'));
+    expect(nats.credsAuthenticator).toHaveBeenCalledWith(expect.any(Function));
+  });
+});
+
+describe('NATS Server Node - Priority Failover', () => {
+  let NatsServerNode;
+  let node;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  afterEach(() => {
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+    jest.useRealTimers();
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should fail back to the primary server once it is reachable again', async () => {
+    // Primary down on first connect: client lands on the secondary
+    nats.connect.mockImplementationOnce(() => {
+      const connection = createMockConnection('cloud:4222');
+      mockConnections.push(connection);
+      return Promise.resolve(connection);
+    });
+
+    node = new NatsServerNode({
+      id: 'server-4',
+      server: 'nats://plant:4222,nats://cloud:4222',
+      failoverMode: 'priority',
+      failbackInterval: 5000,
+    });
+    await flush();
+
+    expect(nats.connect.mock.calls[0][0].noRandomize).toBe(true);
+    expect(node.getConnectionStats()).toEqual(expect.objectContaining({
+      activeServer: 'nats://cloud:4222',
+      activeServerIndex: 1,
+      isPrimaryServer: false,
+    }));
+
+    const create = jest.fn(nc => nc.subscribe('test.subject'));
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create });
+
+    jest.advanceTimersByTime(5000);
+    for (let i = 0; i < 5; i++) await flush();
+
+    expect(node.getConnectionStats().activeServer).toBe('nats://plant:4222');
+    expect(node.getConnectionStats().isPrimaryServer).toBe(true);
+    expect(create).toHaveBeenLastCalledWith(node.connection);
+    expect(mockConnections[0].drain).toHaveBeenCalled();
+  });
+});
+
+describe('NATS Server Node - Test Connection Endpoint', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    const route = mockRED.httpAdmin.post.mock.calls.find(call => call[0] === '/nats-suite-server/test');
+    handler = route[2];
+  });
+
+  const runTest = async body => {
+    const res = { json: jest.fn() };
+    await handler({ body }, res);
+    return res.json.mock.calls[0][0];
+  };
+
+  test('should connect with the dialog settings and report server info', async () => {
+    nats.connect.mockImplementationOnce(() => {
+      const connection = createMockConnection();
+      connection.info = { server_id: 'NABC', server_name: 'plant', version: '2.10.0' };
+      connection.rtt = jest.fn(() => Promise.resolve(2));
+      connection.close = jest.fn(() => Promise.resolve());
+      connection.jetstreamManager = jest.fn(() => Promise.resolve({
+        getAccountInfo: () => Promise.resolve({ streams: 3, consumers: 5, memory: 0, storage: 1024 }),
+      }));
+      return Promise.resolve(connection);
+    });
+
+    const result = await runTest({
+      id: 'server-5',
+      config: { server: 'nats://localhost:4222', authMethod: 'userpass' },
+      credentials: { user: 'app', pass: '__PWRD__' },
+    });
+
+    expect(nats.connect).toHaveBeenCalledWith(expect.objectContaining({
+      servers: ['nats://localhost:4222'],
+      user: 'app',
+      pass: 'stored-secret',
+      reconnect: false,
+    }));
+    expect(result).toEqual(expect.objectContaining({
+      ok: true,
+      server: expect.objectContaining({ name: 'plant', version: '2.10.0' }),
+      jetstream: expect.objectContaining({ enabled: true, streams: 3 }),
+    }));
+  });
+
+  test('should return a readable error when authorization fails', async () => {
+    const err = new Error("'Authorization Violation'");
+    err.code = 'AUTHORIZATION_VIOLATION';
+    nats.connect.mockImplementationOnce(() => Promise.reject(err));
+
+    const result = await runTest({
+      config: { server: 'nats://localhost:4222', authMethod: 'token' },
+      credentials: { token: 'wrong' },
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/Authorization failed/);
+  });
+});
+
+describe('NATS Server Node - Resource Picker Endpoints', () => {
+  const getRoute = path => mockRED.httpAdmin.get.mock.calls.find(call => call[0] === path)[2];
+
+  const callRoute = async (path, params, serverNode) => {
+    mockRED.nodes.getNode.mockReturnValueOnce(serverNode);
+    const res = { json: jest.fn(), status: jest.fn() };
+    res.status.mockReturnValue(res);
+    await getRoute(path)({ params }, res);
+    return res;
+  };
+
+  const streamInfo = (name, messages) => ({
+    config: { name, subjects: [`${name}.>`] },
+    state: { messages, bytes: 0 },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+  });
+
+  test('should list streams and KV buckets separately', async () => {
+    const connection = {
+      jetstreamManager: () => Promise.resolve({
+        streams: { list: () => [streamInfo('ORDERS', 4), streamInfo('KV_config', 2)] },
+      }),
+    };
+    const serverNode = { type: 'nats-suite-server', connectionStatus: 'connected', connection };
+
+    const streams = await callRoute('/nats-suite-server/:id/streams', { id: 's1' }, serverNode);
+    const buckets = await callRoute('/nats-suite-server/:id/kv', { id: 's1' }, serverNode);
+
+    expect(streams.json).toHaveBeenCalledWith([{ name: 'ORDERS', subjects: ['ORDERS.>'], messages: 4 }]);
+    expect(buckets.json).toHaveBeenCalledWith([{ name: 'config', values: 2 }]);
+  });
+
+  test('should answer 503 when the server is not connected', async () => {
+    const res = await callRoute('/nats-suite-server/:id/streams', { id: 's1' }, {
+      type: 'nats-suite-server',
+      connectionStatus: 'disconnected',
+    });
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
+
+describe('NATS Server Node - Lame Duck Mode', () => {
+  let NatsServerNode;
+  let node;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+
+    node = new NatsServerNode({ id: 'server-6', server: 'nats://node-a:4222,nats://node-b:4222' });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+  });
+
+  test('should move subscriptions to another cluster member before the old server closes', async () => {
+    const create = jest.fn(nc => nc.subscribe('test.subject'));
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create });
+    const listener = jest.fn();
+    node.addStatusListener(listener);
+
+    mockConnections[0].emitStatus({ type: 'ldm' });
+    await flushPromises();
+
+    expect(nats.connect).toHaveBeenLastCalledWith(expect.objectContaining({
+      servers: ['nats://node-b:4222'],
+    }));
+    expect(create).toHaveBeenLastCalledWith(mockConnections[1]);
+    expect(mockConnections[0].drain).toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      migrating: true,
+      migratingFrom: 'nats://node-a:4222',
+    }));
+    expect(node.getConnectionStats().lastMigration).toEqual(expect.objectContaining({
+      from: 'nats://node-a:4222',
+      to: 'nats://node-b:4222',
+      success: true,
+    }));
+  });
+});
+
+describe('NATS Server Node - Connection Events', () => {
+  let NatsServerNode;
+  let node;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+
+    node = new NatsServerNode({ id: 'server-7', server: 'nats://localhost:4222' });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+  });
+
+  test('should report permission errors without reconnecting', async () => {
+    const listener = jest.fn();
+    node.addEventListener(listener);
+
+    mockConnections[0].emitStatus({
+      type: 'error',
+      data: 'PERMISSIONS_VIOLATION',
+      permissionContext: { operation: 'publish', subject: 'secret.data' },
+    });
+    await flushPromises();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'permission_error',
+      details: expect.objectContaining({ operation: 'publish', subject: 'secret.data' }),
+    }));
+    expect(node.connectionStatus).toBe('connected');
+    expect(nats.connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should emit disconnect and reconnect events when the connection is lost', async () => {
+    const listener = jest.fn();
+    node.addEventListener(listener);
+
+    mockConnections[0].emitStatus({ type: 'disconnect' });
+    await flushPromises();
+
+    const events = listener.mock.calls.map(call => call[0].event);
+    expect(events).toContain('disconnect');
+    expect(events).toContain('reconnect_attempt');
+  });
+});
+
+describe('NATS Server Node - Broker Error Routing', () => {
+  let NatsServerNode;
+  let node;
+  let targetNode;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+
+    targetNode = { status: jest.fn(), error: jest.fn() };
+    mockRED.nodes.getNode.mockImplementation(id => (id === 'node-1' ? targetNode : null));
+
+    node = new NatsServerNode({ id: 'server-8', server: 'nats://localhost:4222' });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    mockRED.nodes.getNode.mockReset();
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+  });
+
+  test('should raise a publish permission violation on the node using the subject', async () => {
+    node.registerConnectionUser('node-1', { subjects: () => ['plant.*.temperature'] });
+
+    mockConnections[0].emitStatus({
+      type: 'error',
+      data: 'PERMISSIONS_VIOLATION',
+      permissionContext: { operation: 'publish', subject: 'plant.a.temperature' },
+    });
+    await flushPromises();
+
+    expect(targetNode.status).toHaveBeenCalledWith(expect.objectContaining({ fill: 'red', text: 'permission denied' }));
+    expect(targetNode.error).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'NATS_PERMISSION_VIOLATION' }),
+      expect.objectContaining({ topic: 'plant.a.temperature', code: 'NATS_PERMISSION_VIOLATION' })
+    );
+    expect(node.warn).not.toHaveBeenCalled();
+  });
+
+  test('should raise a subscription permission violation on the subscribing node', async () => {
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create: nc => nc.subscribe('secret.>') });
+
+    mockConnections[0].emitStatus({
+      type: 'error',
+      data: 'PERMISSIONS_VIOLATION',
+      permissionContext: { operation: 'subscription', subject: 'secret.>' },
+    });
+    await flushPromises();
+
+    expect(targetNode.error).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'NATS_PERMISSION_VIOLATION' }),
+      expect.objectContaining({ topic: 'secret.>' })
+    );
+  });
+
+  test('should warn on the config node when no node uses the subject', async () => {
+    mockConnections[0].emitStatus({
+      type: 'error',
+      data: 'PERMISSIONS_VIOLATION',
+      permissionContext: { operation: 'publish', subject: 'other.subject' },
+    });
+    await flushPromises();
+
+    expect(targetNode.error).not.toHaveBeenCalled();
+    expect(node.warn).toHaveBeenCalledWith(expect.stringContaining('other.subject'));
+  });
+});
+
+describe('NATS Server Node - Slow Consumer Polling', () => {
+  let NatsServerNode;
+  let node;
+  let targetNode;
+  let pending;
+
+  // Subscription handle whose backlog (pending messages as reported by nats.js) is set by the test
+  const createBackloggedSubscription = (subject) => nc => ({
+    ...nc.subscribe(subject),
+    getPending: () => pending[subject] || 0,
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    pending = {};
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+
+    targetNode = { status: jest.fn(), error: jest.fn() };
+    mockRED.nodes.getNode.mockImplementation(id => (id === 'node-1' ? targetNode : null));
+
+    node = new NatsServerNode({ id: 'server-9', server: 'nats://localhost:4222', slowConsumerThreshold: 1000 });
+    await jest.advanceTimersByTimeAsync(10);
+    await node.registerSubscription('sub-1', { nodeId: 'node-1', create: createBackloggedSubscription('plant.a') });
+    await node.registerSubscription('sub-2', { nodeId: 'node-2', create: createBackloggedSubscription('plant.b') });
+  });
+
+  afterEach(() => {
+    mockRED.nodes.getNode.mockReset();
+    node.handlers.close(() => {});
+    mockConnections.forEach(connection => connection.close());
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('should raise a slow consumer on the node owning the subscription over the threshold', async () => {
+    pending = { 'plant.a': 1500, 'plant.b': 10 };
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(targetNode.status).toHaveBeenCalledWith(expect.objectContaining({ fill: 'red', text: 'slow consumer' }));
+    expect(targetNode.error).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'NATS_SLOW_CONSUMER' }),
+      expect.objectContaining({ topic: 'plant.a', payload: expect.objectContaining({ pending: 1500 }) })
+    );
+    expect(node.warn).not.toHaveBeenCalled();
+  });
+
+  test('should not blame subscriptions below the threshold', async () => {
+    pending = { 'plant.a': 999, 'plant.b': 10 };
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(targetNode.error).not.toHaveBeenCalled();
+    expect(node.warn).not.toHaveBeenCalled();
+  });
+
+  test('should report once per episode and warn when the owning node is gone', async () => {
+    pending = { 'plant.a': 1500, 'plant.b': 2000 };
+    await jest.advanceTimersByTimeAsync(15000);
+
+    expect(targetNode.error).toHaveBeenCalledTimes(1);
+    expect(node.warn).toHaveBeenCalledTimes(1);
+    expect(node.warn).toHaveBeenCalledWith(expect.stringContaining('node node-2'));
+
+    // Backlog recovered, then grows again: a new episode is reported
+    pending = { 'plant.a': 0 };
+    await jest.advanceTimersByTimeAsync(5000);
+    pending = { 'plant.a': 1500 };
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(targetNode.error).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('NATS Server Node - WebSocket Transport', () => {
+  let NatsServerNode;
+  let nodes;
+  let certDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnections.length = 0;
+    mockWebSockets.length = 0;
+    nodes = [];
+    certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nats-suite-ws-'));
+    delete require.cache[require.resolve('../nodes/nats-suite-server')];
+    require('../nodes/nats-suite-server')(mockRED);
+    NatsServerNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  afterEach(() => {
+    nodes.forEach(node => node.handlers.close(() => {}));
+    mockConnections.forEach(connection => connection.close());
+    fs.rmSync(certDir, { recursive: true, force: true });
+  });
+
+  const createNode = (id, ca) => {
+    const caFile = path.join(certDir, `${id}.pem`);
+    fs.writeFileSync(caFile, ca);
+    const node = new NatsServerNode({ id, server: 'wss://proxy.example.com:443', enableTLS: true, tlsCaFile: caFile });
+    nodes.push(node);
+    return node;
+  };
+
+  test('should connect through nats.ws without replacing the global WebSocket', async () => {
+    const globalWebSocket = globalThis.WebSocket;
+    createNode('ws-1', 'ca-1');
+    await flushPromises();
+
+    expect(require('nats.ws').connect).toHaveBeenCalledWith(expect.not.objectContaining({ tls: expect.anything() }));
+    expect(nats.connect).not.toHaveBeenCalled();
+    expect(globalThis.WebSocket).toBe(globalWebSocket);
+  });
+
+  test('should keep the TLS options of config nodes using the same host apart', async () => {
+    createNode('ws-a', 'ca-a');
+    createNode('ws-b', 'ca-b');
+    await flushPromises();
+
+    const [first, second] = mockConnections.map(connection => connection.wsFactory('wss://proxy.example.com:443'));
+
+    expect(first.encrypted).toBe(true);
+    expect(first.socket.options.ca.toString()).toBe('ca-a');
+    expect(second.socket.options.ca.toString()).toBe('ca-b');
+  });
+});
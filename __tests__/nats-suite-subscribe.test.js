@@ -0,0 +1,102 @@
+const { StringCodec, headers } = require('nats');
+
+const sc = StringCodec();
+
+// Mock Node-RED: handlers are recorded for the tests
+const mockRED = {
+  nodes: {
+    createNode: jest.fn((node, config) => {
+      const handlers = {};
+      node.id = config.id;
+      node.log = jest.fn();
+      node.warn = jest.fn();
+      node.error = jest.fn();
+      node.status = jest.fn();
+      node.send = jest.fn();
+      node.on = jest.fn((event, handler) => (handlers[event] = handler));
+      node.handlers = handlers;
+    }),
+    registerType: jest.fn(),
+    getNode: jest.fn(),
+  },
+};
+
+// Async iterable subscription delivering the given messages
+const createSubscription = (messages) => ({
+  async *[Symbol.asyncIterator]() {
+    yield* messages;
+  },
+});
+
+// Mock server config node: the registry opens subscriptions on the connection right away
+const createServerConfig = (messages) => {
+  const connection = {
+    subscribe: jest.fn(() => createSubscription(messages)),
+    isClosed: jest.fn(() => false),
+  };
+  return {
+    connection,
+    addStatusListener: jest.fn(),
+    removeStatusListener: jest.fn(),
+    registerConnectionUser: jest.fn(),
+    unregisterConnectionUser: jest.fn(),
+    getConnection: jest.fn(() => Promise.resolve(connection)),
+    registerSubscription: jest.fn(async (key, options) => options.create(connection)),
+    unregisterSubscription: jest.fn(() => Promise.resolve()),
+  };
+};
+
+const createMessage = (msgId, payload, encrypted) => {
+  const hdrs = headers();
+  hdrs.set('Nats-Msg-Id', msgId);
+  if (encrypted) hdrs.set('Encryption', 'AES-256-GCM');
+  return { subject: 'plant.a', headers: hdrs, data: sc.encode(payload) };
+};
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('NATS Subscribe Node', () => {
+  let NatsSubscribeNode;
+  let encryptionKey;
+
+  const startSubscription = async (messages, config) => {
+    const serverConfig = createServerConfig(messages);
+    mockRED.nodes.getNode.mockImplementation(id => (id === 'server-1' ? serverConfig : id === 'key-1' ? encryptionKey : null));
+    const node = new NatsSubscribeNode({ id: 'subscribe-1', server: 'server-1', datapointid: 'plant.a', dataformat: 'string', ...config });
+    serverConfig.addStatusListener.mock.calls[0][0]('connected');
+    await flushPromises();
+    return node;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    encryptionKey = { decrypt: jest.fn(data => data) };
+    delete require.cache[require.resolve('../nodes/nats-suite-subscribe')];
+    require('../nodes/nats-suite-subscribe')(mockRED);
+    NatsSubscribeNode = mockRED.nodes.registerType.mock.calls[0][1];
+  });
+
+  test('should drop messages whose ID was already delivered within the dedup window', async () => {
+    const node = await startSubscription([
+      createMessage('m1', 'first'),
+      createMessage('m1', 'replay'),
+      createMessage('m2', 'second'),
+    ], { dedupWindow: 60 });
+
+    expect(node.send.mock.calls.map(args => args[0].payload)).toEqual(['first', 'second']);
+  });
+
+  test('should not record the ID of a message that failed decryption', async () => {
+    encryptionKey.decrypt.mockImplementationOnce(() => {
+      throw Object.assign(new Error('Authentication failed'), { code: 'DECRYPT_ERROR' });
+    });
+    const node = await startSubscription([
+      createMessage('m1', 'corrupted', true),
+      createMessage('m1', 'redelivered', true),
+    ], { dedupWindow: 60, encryptionKey: 'key-1' });
+
+    expect(node.error).toHaveBeenCalledWith(expect.objectContaining({ code: 'DECRYPT_ERROR' }), expect.any(Object));
+    expect(node.send).toHaveBeenCalledTimes(1);
+    expect(node.send.mock.calls[0][0].payload).toBe('redelivered');
+  });
+});
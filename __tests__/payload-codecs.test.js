@@ -0,0 +1,35 @@
+const { headers } = require('nats');
+const { getCodec, getContentType, getFormatForContentType, setContentType } = require('../nodes/lib/payload-codecs');
+
+describe('Payload Codecs', () => {
+  test.each(['msgpack', 'cbor'])('should round-trip a payload with %s', (format) => {
+    const codec = getCodec(format);
+    const payload = { value: 21.5, tags: ['a', 'b'], ok: true };
+
+    const data = codec.encode(payload);
+
+    expect(Buffer.isBuffer(data)).toBe(true);
+    expect(codec.decode(data)).toEqual(payload);
+  });
+
+  test('should pick the format from the Content-Type header', () => {
+    const hdrs = headers();
+    hdrs.set('content-type', 'application/x-msgpack; charset=binary');
+
+    expect(getFormatForContentType(getContentType(hdrs))).toBe('msgpack');
+    expect(getFormatForContentType('application/cbor')).toBe('cbor');
+    expect(getFormatForContentType('application/json')).toBe('json');
+    expect(getFormatForContentType('text/plain')).toBe('string');
+    expect(getFormatForContentType('application/unknown')).toBeNull();
+    expect(getContentType(undefined)).toBe('');
+  });
+
+  test('should replace an existing Content-Type when encoding', () => {
+    const hdrs = headers();
+    hdrs.set('content-type', 'application/json');
+
+    setContentType(hdrs, getCodec('cbor'));
+
+    expect(hdrs.toRecord()).toEqual({ 'Content-Type': ['application/cbor'] });
+  });
+});
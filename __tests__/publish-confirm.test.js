@@ -0,0 +1,30 @@
+const { createPublishConfirmer } = require('../nodes/lib/publish-confirm');
+
+describe('Publish Confirm', () => {
+  const createConnection = (flush) => ({ flushes: 0, flush() { this.flushes++; return flush(); } });
+
+  test('should confirm a group with one flush when the batch size is reached', async () => {
+    const nc = createConnection(() => Promise.resolve());
+    const confirmer = createPublishConfirmer({ latency: 1000, batchSize: 3 });
+    const results = await Promise.all([confirmer.confirm(nc), confirmer.confirm(nc), confirmer.confirm(nc)]);
+    expect(results).toEqual([3, 3, 3]);
+    expect(nc.flushes).toBe(1);
+  });
+
+  test('should flush a partial group after the latency', async () => {
+    const nc = createConnection(() => Promise.resolve());
+    const confirmer = createPublishConfirmer({ latency: 5, batchSize: 100 });
+    await expect(confirmer.confirm(nc)).resolves.toBe(1);
+    expect(confirmer.pending()).toBe(0);
+  });
+
+  test('should reject the group if the flush fails or times out', async () => {
+    const failing = createPublishConfirmer({ latency: 1, batchSize: 10 });
+    await expect(failing.confirm(createConnection(() => Promise.reject(new Error('connection closed')))))
+      .rejects.toMatchObject({ code: 'PUBLISH_NOT_CONFIRMED' });
+
+    const slow = createPublishConfirmer({ latency: 1, batchSize: 10, timeout: 20 });
+    await expect(slow.confirm(createConnection(() => new Promise(() => {}))))
+      .rejects.toThrow(/within 20 ms/);
+  });
+});
@@ -0,0 +1,45 @@
+const { isTemplate, resolveSubjectTemplate, validatePublishSubject } = require('../nodes/lib/subject-template');
+
+describe('Subject Templates', () => {
+  const context = {
+    msg: { payload: { tag: 'temp01', ratio: 0.5, path: 'a.b', any: '*', rest: 'x>' }, line: 'L2' },
+    flow: { site: 'muc' },
+    global: { site: 'ber', plant: 'p1' },
+  };
+  const lookup = (scope, path) => {
+    if (scope) return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context[scope]);
+    for (const fallback of ['msg', 'flow', 'global']) {
+      if (context[fallback][path] !== undefined) return context[fallback][path];
+    }
+    return undefined;
+  };
+
+  test('should resolve scoped and bare tokens', () => {
+    expect(isTemplate('plant.{{site}}')).toBe(true);
+    expect(isTemplate('plant.muc')).toBe(false);
+    expect(resolveSubjectTemplate('{{global.plant}}.{{site}}.{{line}}.{{ msg.payload.tag }}', lookup))
+      .toBe('p1.muc.L2.temp01');
+  });
+
+  test('should reject missing and non-primitive tokens', () => {
+    expect(() => resolveSubjectTemplate('plant.{{area}}', lookup))
+      .toThrow(expect.objectContaining({ code: 'SUBJECT_TEMPLATE_ERROR', token: 'area' }));
+    expect(() => resolveSubjectTemplate('plant.{{msg.payload}}', lookup))
+      .toThrow(expect.objectContaining({ code: 'SUBJECT_TEMPLATE_ERROR', token: 'msg.payload' }));
+  });
+
+  test('should reject token values that add subject tokens or wildcards', () => {
+    ['msg.payload.path', 'msg.payload.any', 'msg.payload.rest', 'msg.payload.ratio'].forEach(token => {
+      expect(() => resolveSubjectTemplate(`plant.{{${token}}}`, lookup))
+        .toThrow(expect.objectContaining({ code: 'SUBJECT_TEMPLATE_ERROR', token }));
+    });
+  });
+
+  test('should flag invalid characters and wildcards in resolved subjects', () => {
+    expect(validatePublishSubject('plant.muc.temp01')).toBeNull();
+    expect(validatePublishSubject('plant.m uc')).toMatch(/whitespace/);
+    expect(validatePublishSubject('plant..temp01')).toMatch(/empty token/);
+    expect(validatePublishSubject('plant.*.temp01')).toMatch(/wildcard/);
+    expect(validatePublishSubject('plant.>')).toMatch(/wildcard/);
+  });
+});
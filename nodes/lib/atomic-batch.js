@@ -0,0 +1,74 @@
+'use strict';
+
+const crypto = require('crypto');
+const { JSONCodec, headers: natsHeaders } = require('nats');
+const { setHeader } = require('./payload-codecs');
+
+// Atomic batch publish (JetStream, NATS 2.12+, stream with allow_atomic): All messages carry the batch ID and
+// their sequence, the last one commits the batch. The server stores all messages or none and answers only the
+// commit with one PubAck (or the error that rejected the batch).
+const BATCH_ID_HEADER = 'Nats-Batch-Id';
+const BATCH_SEQUENCE_HEADER = 'Nats-Batch-Sequence';
+const BATCH_COMMIT_HEADER = 'Nats-Batch-Commit';
+
+// Server limit of messages per atomic batch
+const MAX_BATCH_SIZE = 1000;
+const DEFAULT_COMMIT_TIMEOUT = 5000;
+
+const jc = JSONCodec();
+
+const createBatchError = (message, code, details = {}) => Object.assign(new Error(message), { code }, details);
+
+// Result of the commit reply: { stream, seq, batch, count } or throws ATOMIC_BATCH_REJECTED
+const parseCommitReply = (data) => {
+  let reply;
+  try {
+    reply = jc.decode(data);
+  } catch (err) {
+    throw createBatchError('Invalid reply to the batch commit', 'ATOMIC_BATCH_REJECTED');
+  }
+  if (reply.error) {
+    throw createBatchError(`Batch rejected: ${reply.error.description || 'unknown error'}`, 'ATOMIC_BATCH_REJECTED', {
+      apiCode: reply.error.err_code || reply.error.code
+    });
+  }
+  return reply;
+};
+
+// Publishes messages ([{ subject, data, headers }]) as one atomic batch, resolves with the commit's PubAck
+const publishAtomicBatch = async (nc, messages, { timeout = DEFAULT_COMMIT_TIMEOUT } = {}) => {
+  if (messages.length === 0) {
+    throw createBatchError('Batch is empty', 'ATOMIC_BATCH_EMPTY');
+  }
+  if (messages.length > MAX_BATCH_SIZE) {
+    throw createBatchError(`Batch has ${messages.length} messages, the limit is ${MAX_BATCH_SIZE}`, 'ATOMIC_BATCH_TOO_LARGE');
+  }
+  const batchId = crypto.randomUUID();
+  const last = messages.length - 1;
+  // Messages before the commit are published without reply subject: the server answers nothing for them and
+  // a rejected message fails the whole batch at the commit. All go over one connection, so the order is kept.
+  messages.slice(0, last).forEach((message, index) => {
+    let hdrs = setHeader(message.headers || natsHeaders(), BATCH_ID_HEADER, batchId);
+    hdrs = setHeader(hdrs, BATCH_SEQUENCE_HEADER, String(index + 1));
+    nc.publish(message.subject, message.data, { headers: hdrs });
+  });
+  const commit = messages[last];
+  let hdrs = setHeader(commit.headers || natsHeaders(), BATCH_ID_HEADER, batchId);
+  hdrs = setHeader(hdrs, BATCH_SEQUENCE_HEADER, String(last + 1));
+  hdrs = setHeader(hdrs, BATCH_COMMIT_HEADER, '1');
+  let reply;
+  try {
+    reply = await nc.request(commit.subject, commit.data, { headers: hdrs, timeout });
+  } catch (err) {
+    throw createBatchError(`Batch commit failed: ${err.message}`, 'ATOMIC_BATCH_FAILED');
+  }
+  return { ...parseCommitReply(reply.data), batch: batchId, count: messages.length };
+};
+
+module.exports = {
+  BATCH_ID_HEADER,
+  BATCH_SEQUENCE_HEADER,
+  BATCH_COMMIT_HEADER,
+  MAX_BATCH_SIZE,
+  publishAtomicBatch
+};
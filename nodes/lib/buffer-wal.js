@@ -0,0 +1,255 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Append-only write-ahead log for the publish buffer, split into segment files:
+//   record = body length (uint32 BE) | CRC-32 of body (uint32 BE) | body (JSON)
+//   body   = { op: 'add', seq, msg } or { op: 'del', seqs: [...] }
+// Recovery replays all segments in order and cuts a truncated or corrupt last record.
+const SEGMENT_PREFIX = 'segment-';
+const SEGMENT_SUFFIX = '.wal';
+const RECORD_HEADER_LENGTH = 8;
+const DEFAULT_SEGMENT_SIZE = 4 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+const crc32 = (data) => {
+  let crc = -1;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+};
+
+const encodeRecord = (body) => {
+  const data = Buffer.from(JSON.stringify(body), 'utf8');
+  const header = Buffer.alloc(RECORD_HEADER_LENGTH);
+  header.writeUInt32BE(data.length, 0);
+  header.writeUInt32BE(crc32(data), 4);
+  return Buffer.concat([header, data]);
+};
+
+// Decodes the records of a segment. Returns { records, validLength } - validLength < data.length
+// means the segment ends with a truncated or corrupt record.
+const decodeRecords = (data) => {
+  const records = [];
+  let offset = 0;
+  while (offset + RECORD_HEADER_LENGTH <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const end = offset + RECORD_HEADER_LENGTH + length;
+    if (end > data.length) break;
+    const body = data.subarray(offset + RECORD_HEADER_LENGTH, end);
+    if (crc32(body) !== data.readUInt32BE(offset + 4)) break;
+    try {
+      records.push(JSON.parse(body.toString('utf8')));
+    } catch (err) {
+      break;
+    }
+    offset = end;
+  }
+  return { records, validLength: offset };
+};
+
+const segmentName = (number) => `${SEGMENT_PREFIX}${String(number).padStart(8, '0')}${SEGMENT_SUFFIX}`;
+
+// fsync: 'always' (every record, nothing acknowledged is lost), 'interval' (every fsyncInterval ms) or 'none' (OS)
+const createBufferWal = ({ dir, segmentSize = DEFAULT_SEGMENT_SIZE, fsync = 'always', fsyncInterval = 1000, onWarn = () => {} }) => {
+  let fd = null;
+  let segmentNumber = 0;
+  let segmentBytes = 0;
+  let totalBytes = 0;
+  let nextSeq = 1;
+  let dirty = false;
+  let syncTimer = null;
+  const live = new Map(); // seq -> record size, for the compaction estimate
+
+  const listSegments = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.startsWith(SEGMENT_PREFIX) && name.endsWith(SEGMENT_SUFFIX))
+      .map(name => parseInt(name.slice(SEGMENT_PREFIX.length, -SEGMENT_SUFFIX.length), 10))
+      .filter(number => Number.isFinite(number))
+      .sort((a, b) => a - b);
+  };
+
+  const syncNow = () => {
+    if (fd !== null && dirty) {
+      fs.fsyncSync(fd);
+      dirty = false;
+    }
+  };
+
+  // Directory entries (created or deleted segments) only survive a crash once the directory is synced.
+  // Not supported on every platform (Windows), the file data itself is still synced there
+  const syncDir = () => {
+    if (fsync === 'none') return;
+    let dirFd = null;
+    try {
+      dirFd = fs.openSync(dir, 'r');
+      fs.fsyncSync(dirFd);
+    } catch (err) {
+      if (err.code !== 'EPERM' && err.code !== 'EISDIR' && err.code !== 'EINVAL') throw err;
+    } finally {
+      if (dirFd !== null) fs.closeSync(dirFd);
+    }
+  };
+
+  const openSegment = (number) => {
+    if (fd !== null) {
+      syncNow();
+      fs.closeSync(fd);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    segmentNumber = number;
+    fd = fs.openSync(path.join(dir, segmentName(number)), 'a');
+    segmentBytes = fs.fstatSync(fd).size;
+    if (segmentBytes === 0) syncDir();
+  };
+
+  const write = (record) => {
+    if (fd === null || segmentBytes >= segmentSize) {
+      openSegment(segmentNumber + 1);
+    }
+    fs.writeSync(fd, record);
+    segmentBytes += record.length;
+    totalBytes += record.length;
+    dirty = true;
+    if (fsync === 'always') syncNow();
+    return record.length;
+  };
+
+  // Replays the log, returns the buffered messages in order (each with its _walSeq)
+  const recover = () => {
+    const messages = new Map();
+    const segments = listSegments();
+    let truncated = false;
+    totalBytes = 0;
+    segments.forEach((number, index) => {
+      const file = path.join(dir, segmentName(number));
+      const data = fs.readFileSync(file);
+      const { records, validLength } = decodeRecords(data);
+      if (validLength < data.length) {
+        truncated = true;
+        onWarn(`${segmentName(number)}: dropped ${data.length - validLength} bytes of a truncated or corrupt record`);
+        if (index === segments.length - 1) {
+          fs.truncateSync(file, validLength);
+        }
+      }
+      totalBytes += validLength;
+      records.forEach(record => {
+        if (record.op === 'add') {
+          live.set(record.seq, Buffer.byteLength(JSON.stringify(record)) + RECORD_HEADER_LENGTH);
+          record.msg._walSeq = record.seq;
+          messages.set(record.seq, record.msg);
+          nextSeq = Math.max(nextSeq, record.seq + 1);
+        } else if (record.op === 'del') {
+          record.seqs.forEach(seq => {
+            messages.delete(seq);
+            live.delete(seq);
+          });
+        }
+      });
+    });
+    // New records go to a fresh segment (a corrupt middle segment stays as is until the next compaction)
+    if (segments.length > 0) {
+      segmentNumber = segments[segments.length - 1];
+    }
+    return { messages: Array.from(messages.values()), truncated };
+  };
+
+  // Logs a buffered message, sets msg._walSeq (no-op for a message that is still in the log)
+  const append = (msg) => {
+    if (msg._walSeq && live.has(msg._walSeq)) return msg._walSeq;
+    const seq = nextSeq++;
+    const { _walSeq, ...plainMsg } = msg;
+    const size = write(encodeRecord({ op: 'add', seq, msg: plainMsg }));
+    msg._walSeq = seq;
+    live.set(seq, size);
+    return seq;
+  };
+
+  // Logs that buffered messages left the buffer (sent or dropped)
+  const remove = (msgs) => {
+    const seqs = msgs.map(msg => msg._walSeq).filter(seq => live.has(seq));
+    if (seqs.length === 0) return;
+    seqs.forEach(seq => live.delete(seq));
+    write(encodeRecord({ op: 'del', seqs }));
+  };
+
+  // True if removed records take up more than half of the log (and at least one segment)
+  const needsCompaction = () => {
+    let liveBytes = 0;
+    live.forEach(size => { liveBytes += size; });
+    return totalBytes - liveBytes > Math.max(liveBytes, segmentSize);
+  };
+
+  // Rewrites the log with only the given messages: new segment first, then the old ones are deleted.
+  // Messages keep their seq, so replaying after a crash during compaction doesn't duplicate them.
+  const compact = (messages) => {
+    const oldSegments = listSegments();
+    openSegment(segmentNumber + 1);
+    totalBytes = 0;
+    segmentBytes = 0;
+    live.clear();
+    const records = messages.map(msg => {
+      const { _walSeq, ...plainMsg } = msg;
+      const seq = _walSeq && !live.has(_walSeq) ? _walSeq : nextSeq++;
+      const record = encodeRecord({ op: 'add', seq, msg: plainMsg });
+      msg._walSeq = seq;
+      live.set(seq, record.length);
+      return record;
+    });
+    if (records.length > 0) {
+      const data = Buffer.concat(records);
+      fs.writeSync(fd, data);
+      segmentBytes = data.length;
+      totalBytes = data.length;
+    }
+    dirty = true;
+    syncNow();
+    syncDir();
+    oldSegments.forEach(number => fs.unlinkSync(path.join(dir, segmentName(number))));
+  };
+
+  const close = () => {
+    if (syncTimer) {
+      clearInterval(syncTimer);
+      syncTimer = null;
+    }
+    if (fd !== null) {
+      syncNow();
+      fs.closeSync(fd);
+      fd = null;
+    }
+  };
+
+  if (fsync === 'interval') {
+    syncTimer = setInterval(() => {
+      try {
+        syncNow();
+      } catch (err) {
+        onWarn(`fsync failed: ${err.message}`);
+      }
+    }, Math.max(fsyncInterval, 10));
+    if (syncTimer.unref) syncTimer.unref();
+  }
+
+  return { recover, append, remove, needsCompaction, compact, sync: syncNow, close };
+};
+
+module.exports = {
+  createBufferWal,
+  decodeRecords,
+  encodeRecord
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+const { nanos } = require('nats');
+const { getHeader, setHeader } = require('./payload-codecs');
+
+// Claim-check: Payloads above a threshold are stored in an Object Store bucket and the message
+// carries a small JSON reference plus Claim-Check-* headers. The bucket's TTL removes old claims.
+const CLAIM_CHECK_BUCKET_HEADER = 'Claim-Check-Bucket';
+const CLAIM_CHECK_OBJECT_HEADER = 'Claim-Check-Object';
+const CLAIM_CHECK_SIZE_HEADER = 'Claim-Check-Size';
+
+// Stream behind an Object Store bucket
+const objectStoreStreamName = (bucket) => `OBJ_${bucket}`;
+
+// Headroom for headers when the threshold is derived from the server's max_payload
+const HEADER_HEADROOM = 8 * 1024;
+
+const createClaimCheckError = (message, code, reference = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.reference = reference;
+  return err;
+};
+
+// Threshold in bytes: the configured value, else the server's max_payload minus header headroom
+const getClaimThreshold = (configured, maxPayload) => {
+  const threshold = parseInt(configured, 10);
+  if (threshold > 0) return threshold;
+  return Math.max((maxPayload || 1024 * 1024) - HEADER_HEADROOM, 1);
+};
+
+// Bucket options for js.views.os(): TTL in seconds (0 = keep claims forever)
+const getClaimBucketOptions = (ttlSeconds, storage = 'file') => {
+  const options = { storage: storage === 'memory' ? 'memory' : 'file' };
+  const ttl = parseInt(ttlSeconds, 10);
+  if (ttl > 0) options.ttl = nanos(ttl * 1000);
+  return options;
+};
+
+// Applies the claim TTL to an existing bucket (views.os() only sets it on creation).
+// Returns the previous TTL in seconds if the bucket was updated, else null.
+const syncClaimBucketTtl = async (jsm, bucket, ttlSeconds) => {
+  const streamName = objectStoreStreamName(bucket);
+  const info = await jsm.streams.info(streamName);
+  const { ttl = 0 } = getClaimBucketOptions(ttlSeconds);
+  if ((info.config.max_age || 0) === ttl) return null;
+  await jsm.streams.update(streamName, { ...info.config, max_age: ttl });
+  return Math.round((info.config.max_age || 0) / 1e9);
+};
+
+// Opens an existing bucket without creating it (views.os() would create a missing one).
+// Throws CLAIM_CHECK_NOT_FOUND if the bucket doesn't exist.
+const bindClaimStore = async (js, jsm, bucket) => {
+  try {
+    await jsm.streams.info(objectStoreStreamName(bucket));
+  } catch (err) {
+    if (err.message && err.message.includes('stream not found')) {
+      throw createClaimCheckError(`Claim-check bucket "${bucket}" not found`, 'CLAIM_CHECK_NOT_FOUND', { bucket });
+    }
+    throw err;
+  }
+  return js.views.os(bucket);
+};
+
+// Unique object name, grouped by subject for inspection with object-get/list
+const createClaimName = (subject) => `${subject}/${crypto.randomUUID()}`;
+
+// Stores the payload and returns the reference { bucket, object, size }
+const storeClaim = async (os, bucket, name, data) => {
+  const info = await os.putBlob({ name }, data);
+  return { bucket, object: name, size: info.size };
+};
+
+// Adds the Claim-Check-* headers for a reference and returns the headers
+const setClaimHeaders = (hdrs, reference) => {
+  setHeader(hdrs, CLAIM_CHECK_BUCKET_HEADER, reference.bucket);
+  setHeader(hdrs, CLAIM_CHECK_OBJECT_HEADER, reference.object);
+  return setHeader(hdrs, CLAIM_CHECK_SIZE_HEADER, String(reference.size));
+};
+
+// Reference of a received claim-check message, or null if the message carries its payload
+const getClaimReference = (hdrs) => {
+  if (!hdrs) return null;
+  const bucket = getHeader(hdrs, CLAIM_CHECK_BUCKET_HEADER);
+  const object = getHeader(hdrs, CLAIM_CHECK_OBJECT_HEADER);
+  if (!bucket || !object) return null;
+  return { bucket, object, size: parseInt(getHeader(hdrs, CLAIM_CHECK_SIZE_HEADER), 10) || 0 };
+};
+
+// Fetches a claimed payload. Throws CLAIM_CHECK_NOT_FOUND if the object is gone (e.g. expired by TTL).
+const fetchClaim = async (os, reference) => {
+  const data = await os.getBlob(reference.object);
+  if (!data) {
+    throw createClaimCheckError(`Claim-check object "${reference.object}" not found in bucket "${reference.bucket}" (expired or deleted)`,
+      'CLAIM_CHECK_NOT_FOUND', reference);
+  }
+  return Buffer.from(data);
+};
+
+module.exports = {
+  CLAIM_CHECK_BUCKET_HEADER,
+  CLAIM_CHECK_OBJECT_HEADER,
+  CLAIM_CHECK_SIZE_HEADER,
+  getClaimThreshold,
+  getClaimBucketOptions,
+  syncClaimBucketTtl,
+  bindClaimStore,
+  createClaimName,
+  storeClaim,
+  setClaimHeaders,
+  getClaimReference,
+  fetchClaim
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+const { getCodec, getHeader, getContentType, getFormatForContentType, setHeader, CONTENT_TYPE_HEADER } = require('./payload-codecs');
+
+// CloudEvents 1.0 (NATS protocol binding): structured mode sends a JSON envelope,
+// binary mode sends the data as body and the attributes as "ce-" headers
+const SPEC_VERSION = '1.0';
+const STRUCTURED_CONTENT_TYPE = 'application/cloudevents+json';
+const HEADER_PREFIX = 'ce-';
+const REQUIRED_ATTRIBUTES = ['id', 'source', 'type'];
+
+const createCloudEventError = (message) => {
+  const err = new Error(message);
+  err.code = 'CLOUDEVENTS_ERROR';
+  return err;
+};
+
+// Default datacontenttype for a payload
+const getDataContentType = (data) => {
+  if (Buffer.isBuffer(data)) return 'application/octet-stream';
+  if (typeof data === 'string') return 'text/plain';
+  return 'application/json';
+};
+
+// Builds the event attributes (without data). Throws CLOUDEVENTS_ERROR if id, source or type is missing.
+const createCloudEvent = (attributes, data) => {
+  const event = { specversion: SPEC_VERSION };
+  Object.keys(attributes).forEach(name => {
+    const value = attributes[name];
+    if (value !== undefined && value !== null && value !== '' && name !== 'data' && name !== 'data_base64') {
+      event[name.toLowerCase()] = value;
+    }
+  });
+  event.specversion = SPEC_VERSION;
+  if (!event.datacontenttype) {
+    event.datacontenttype = getDataContentType(data);
+  }
+  const missing = REQUIRED_ATTRIBUTES.filter(name => !event[name]);
+  if (missing.length > 0) {
+    throw createCloudEventError(`CloudEvent attribute(s) missing: ${missing.join(', ')}`);
+  }
+  return event;
+};
+
+// Encodes data for the event's datacontenttype (binary mode body)
+const encodeData = (event, data) => {
+  if (Buffer.isBuffer(data)) return data;
+  const format = getFormatForContentType(event.datacontenttype);
+  const codec = getCodec(format);
+  if (codec) return codec.encode(data);
+  if (format === 'json') return JSON.stringify(data);
+  return typeof data === 'object' ? JSON.stringify(data) : String(data);
+};
+
+// Decodes a binary mode body (or data_base64) by the event's datacontenttype
+const decodeData = (event, body) => {
+  const format = getFormatForContentType(event.datacontenttype);
+  const codec = getCodec(format);
+  if (codec) return codec.decode(body);
+  if (format === 'json' || format === 'string') {
+    const text = Buffer.from(body).toString('utf8');
+    if (format === 'string') return text;
+    return text.length > 0 ? JSON.parse(text) : null;
+  }
+  return Buffer.from(body);
+};
+
+// Structured mode: JSON envelope with the data (binary data as data_base64)
+const toStructured = (event, data) => {
+  const envelope = { ...event };
+  if (Buffer.isBuffer(data)) {
+    envelope.data_base64 = data.toString('base64');
+  } else if (data !== undefined) {
+    envelope.data = data;
+  }
+  return JSON.stringify(envelope);
+};
+
+// Binary mode: Attributes as ce-* headers, datacontenttype as Content-Type
+const setBinaryHeaders = (hdrs, event) => {
+  Object.keys(event).forEach(name => {
+    if (name === 'datacontenttype') return;
+    const value = event[name];
+    setHeader(hdrs, HEADER_PREFIX + name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  return setHeader(hdrs, CONTENT_TYPE_HEADER, event.datacontenttype);
+};
+
+const isStructuredContentType = (hdrs) => {
+  return getContentType(hdrs).split(';')[0].trim().toLowerCase() === STRUCTURED_CONTENT_TYPE;
+};
+
+const setStructuredHeaders = (hdrs) => setHeader(hdrs, CONTENT_TYPE_HEADER, STRUCTURED_CONTENT_TYPE);
+
+const isCloudEventEnvelope = (value) => {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.specversion === 'string' && REQUIRED_ATTRIBUTES.every(name => value[name]);
+};
+
+// True if the headers mark a CloudEvent (binary mode ce-specversion or structured Content-Type)
+const isCloudEventMessage = (hdrs) => {
+  if (!hdrs) return false;
+  return !!getHeader(hdrs, HEADER_PREFIX + 'specversion') || isStructuredContentType(hdrs);
+};
+
+// Parses a received message into { event, data }. Binary mode is detected by the ce-specversion header,
+// structured mode by the Content-Type (or, if detectBody is set, by a JSON body with the required attributes).
+// Returns null if the message is not a CloudEvent.
+const parseCloudEvent = (hdrs, body, detectBody = false) => {
+  if (hdrs) {
+    const event = {};
+    for (const [key, values] of hdrs) {
+      const name = key.toLowerCase();
+      if (name.startsWith(HEADER_PREFIX)) {
+        event[name.slice(HEADER_PREFIX.length)] = values[0];
+      }
+    }
+    if (event.specversion) {
+      const contentType = getContentType(hdrs);
+      if (contentType) event.datacontenttype = contentType;
+      return { event, data: decodeData(event, body) };
+    }
+  }
+
+  const structured = isStructuredContentType(hdrs);
+  if (!structured && !detectBody) return null;
+
+  let envelope;
+  try {
+    envelope = JSON.parse(Buffer.from(body).toString('utf8'));
+  } catch (err) {
+    if (structured) throw createCloudEventError(`Invalid structured CloudEvent: ${err.message}`);
+    return null;
+  }
+  if (!isCloudEventEnvelope(envelope)) {
+    if (structured) throw createCloudEventError('Structured CloudEvent without specversion, id, source or type');
+    return null;
+  }
+
+  const { data, data_base64: dataBase64, ...event } = envelope;
+  if (dataBase64 !== undefined) {
+    return { event, data: decodeData(event, Buffer.from(dataBase64, 'base64')) };
+  }
+  return { event, data };
+};
+
+module.exports = {
+  STRUCTURED_CONTENT_TYPE,
+  createCloudEvent,
+  encodeData,
+  toStructured,
+  setBinaryHeaders,
+  setStructuredHeaders,
+  isCloudEventMessage,
+  parseCloudEvent
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Deduplication by message ID: Publish sends a stable ID per buffered message in the JetStream
+// deduplication header, so streams (duplicate_window) and subscribers can drop replays
+const MSG_ID_HEADER = 'Nats-Msg-Id';
+
+// Upper bound for remembered IDs, the oldest are forgotten first
+const DEFAULT_MAX_ENTRIES = 100000;
+
+// Remembers IDs for windowMs. isDuplicate(id) returns true if the ID was seen within the window,
+// otherwise it records the ID; has(id) only checks.
+const createDedupWindow = (windowMs, maxEntries = DEFAULT_MAX_ENTRIES) => {
+  const seen = new Map(); // id -> expiresAt, in insertion (= expiry) order
+
+  const prune = (now) => {
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt > now && seen.size < maxEntries) break;
+      seen.delete(id);
+    }
+  };
+
+  return {
+    has: (id, now = Date.now()) => {
+      prune(now);
+      return seen.has(id);
+    },
+    isDuplicate: (id, now = Date.now()) => {
+      prune(now);
+      if (seen.has(id)) return true;
+      seen.set(id, now + windowMs);
+      return false;
+    },
+    size: () => seen.size
+  };
+};
+
+module.exports = {
+  MSG_ID_HEADER,
+  createDedupWindow
+};
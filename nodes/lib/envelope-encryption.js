@@ -0,0 +1,109 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getHeader, setHeader } = require('./payload-codecs');
+
+// AES-256-GCM envelope (used by nats-suite-encryption-key):
+//   magic "NE" | version 0x01 | key id length | key id (utf8) | 12 byte IV | ciphertext | 16 byte auth tag
+// The key id is authenticated (AAD) and also sent as header on messages. KV values have no headers,
+// so the envelope itself carries the key id for all transports.
+const ALGORITHM = 'aes-256-gcm';
+const MAGIC = Buffer.from('NE', 'ascii');
+const VERSION = 0x01;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+const ENCRYPTION_HEADER = 'Encryption';
+const ENCRYPTION_KEY_ID_HEADER = 'Encryption-Key-Id';
+const ENCRYPTION_HEADER_VALUE = 'AES-256-GCM';
+
+const createEncryptionError = (message, code, keyId = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.keyId = keyId;
+  return err;
+};
+
+// Parses a 256-bit key given as base64 or hex
+const parseKey = (value) => {
+  const text = String(value || '').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw createEncryptionError(`Key must be ${KEY_LENGTH} bytes (base64 or hex), got ${key.length}`, 'INVALID_KEY');
+  }
+  return key;
+};
+
+const isEnvelope = (data) => {
+  return !!data && data.length > MAGIC.length + 2 && data[0] === MAGIC[0] && data[1] === MAGIC[1] && data[2] === VERSION;
+};
+
+// Returns the key id of an envelope (null if the data is not an envelope)
+const getEnvelopeKeyId = (data) => {
+  if (!isEnvelope(data)) return null;
+  const keyIdLength = data[3];
+  return Buffer.from(data.buffer, data.byteOffset + 4, keyIdLength).toString('utf8');
+};
+
+const encrypt = (key, keyId, plaintext) => {
+  const keyIdBytes = Buffer.from(keyId, 'utf8');
+  if (keyIdBytes.length === 0 || keyIdBytes.length > 255) {
+    throw createEncryptionError('Key id must be 1-255 bytes', 'INVALID_KEY', keyId);
+  }
+  const header = Buffer.concat([MAGIC, Buffer.from([VERSION, keyIdBytes.length]), keyIdBytes]);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+  return Buffer.concat([header, iv, ciphertext, cipher.getAuthTag()]);
+};
+
+// Decrypts an envelope, getKey(keyId) returns the key or null if the key id is unknown
+const decrypt = (getKey, data) => {
+  if (!isEnvelope(data)) {
+    throw createEncryptionError('Payload is not an encryption envelope', 'DECRYPT_ERROR');
+  }
+  const envelope = Buffer.from(data);
+  const headerLength = MAGIC.length + 2 + envelope[3];
+  const keyId = envelope.subarray(4, headerLength).toString('utf8');
+  if (envelope.length < headerLength + IV_LENGTH + TAG_LENGTH) {
+    throw createEncryptionError('Encryption envelope is truncated', 'DECRYPT_ERROR', keyId);
+  }
+  const key = getKey(keyId);
+  if (!key) {
+    throw createEncryptionError(`Unknown encryption key id "${keyId}"`, 'UNKNOWN_KEY_ID', keyId);
+  }
+  const iv = envelope.subarray(headerLength, headerLength + IV_LENGTH);
+  const tag = envelope.subarray(envelope.length - TAG_LENGTH);
+  const ciphertext = envelope.subarray(headerLength + IV_LENGTH, envelope.length - TAG_LENGTH);
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(envelope.subarray(0, headerLength));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    throw createEncryptionError(`Decryption failed with key "${keyId}" (wrong key or tampered payload)`, 'DECRYPT_ERROR', keyId);
+  }
+};
+
+// Marks a message as encrypted and names its key (for receivers and for inspection on the wire)
+const setEncryptionHeaders = (hdrs, keyId) => {
+  setHeader(hdrs, ENCRYPTION_HEADER, ENCRYPTION_HEADER_VALUE);
+  return setHeader(hdrs, ENCRYPTION_KEY_ID_HEADER, keyId);
+};
+
+const isEncryptedMessage = (hdrs) => !!hdrs && getHeader(hdrs, ENCRYPTION_HEADER).toUpperCase() === ENCRYPTION_HEADER_VALUE;
+
+module.exports = {
+  ENCRYPTION_HEADER,
+  ENCRYPTION_KEY_ID_HEADER,
+  ENCRYPTION_HEADER_VALUE,
+  parseKey,
+  isEnvelope,
+  getEnvelopeKeyId,
+  encrypt,
+  decrypt,
+  setEncryptionHeaders,
+  isEncryptedMessage
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+// Priority classes for msg.priority: names or numbers (higher = more important), default "normal"
+const PRIORITY_LEVELS = { low: 1, normal: 2, high: 3, critical: 4 };
+const DEFAULT_PRIORITY = PRIORITY_LEVELS.normal;
+
+// Limits the number of idle rate-limit buckets kept per node (full buckets are pruned first)
+const MAX_IDLE_BUCKETS = 10000;
+
+const getPriority = (msg) => {
+  const value = msg ? msg.priority : undefined;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const level = PRIORITY_LEVELS[value.trim().toLowerCase()];
+    if (level !== undefined) return level;
+    const number = parseFloat(value);
+    if (Number.isFinite(number)) return number;
+  }
+  return DEFAULT_PRIORITY;
+};
+
+// Drain order: higher priority first, FIFO within a priority (sort is stable)
+const sortByPriority = (queue) => queue.slice().sort((a, b) => getPriority(b) - getPriority(a));
+
+// Overflow: Index of the queued message to drop for an incoming message, or -1 to drop the incoming one.
+// Only the lowest priority class loses messages: "drop-oldest" drops its oldest, the other modes its newest.
+// An incoming message is dropped itself if nothing queued has a lower priority ("drop-oldest": lower or equal).
+const selectDropIndex = (queue, incomingPriority, mode) => {
+  if (queue.length === 0) return -1;
+  let lowest = Infinity;
+  for (const queued of queue) {
+    lowest = Math.min(lowest, getPriority(queued));
+  }
+  if (incomingPriority < lowest || (mode !== 'drop-oldest' && incomingPriority === lowest)) return -1;
+  if (mode === 'drop-oldest') {
+    return queue.findIndex(queued => getPriority(queued) === lowest);
+  }
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (getPriority(queue[i]) === lowest) return i;
+  }
+  return -1;
+};
+
+// Token buckets per key (e.g. subject): rate tokens per window plus burst capacity
+const createKeyedRateLimiter = ({ rate, window, burst }) => {
+  const capacity = rate + burst;
+  const tokensPerMs = rate / window;
+  const buckets = new Map(); // key -> { tokens, lastRefill }
+
+  const getBucket = (key, now) => {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= MAX_IDLE_BUCKETS) {
+        buckets.forEach((idle, idleKey) => {
+          if (Math.min(idle.tokens + (now - idle.lastRefill) * tokensPerMs, capacity) >= capacity) {
+            buckets.delete(idleKey);
+          }
+        });
+      }
+      bucket = { tokens: capacity, lastRefill: now };
+      buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(bucket.tokens + (now - bucket.lastRefill) * tokensPerMs, capacity);
+    bucket.lastRefill = now;
+    return bucket;
+  };
+
+  return {
+    tokensPerMs,
+    // True if the key has a token (refills by elapsed time)
+    canTake: (key, now = Date.now()) => getBucket(key, now).tokens >= 1,
+    // Takes a token, returns false if the key is limited
+    take: (key, now = Date.now()) => {
+      const bucket = getBucket(key, now);
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    },
+    size: () => buckets.size
+  };
+};
+
+module.exports = {
+  PRIORITY_LEVELS,
+  getPriority,
+  sortByPriority,
+  selectDropIndex,
+  createKeyedRateLimiter
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+// Headers: Convert NATS MsgHdrs into a plain object. Multi-value headers are joined with ", "
+// unless keepArrays is set, then they stay arrays (single values are always strings)
+const headersToObject = (hdrs, keepArrays) => {
+  const record = hdrs.toRecord();
+  const result = {};
+  Object.keys(record).forEach(key => {
+    const values = record[key];
+    result[key] = keepArrays && values.length > 1 ? values : values.join(', ');
+  });
+  return result;
+};
+
+// Header filter: {"Content-Type": "application/json", "X-Source": "/^plc-/", "X-Trace": true}
+// Strings match exactly, "/.../" strings are regular expressions, true only requires the header.
+// Header names are matched case-insensitively.
+const parseHeaderFilter = (filterJson) => {
+  const filter = JSON.parse(filterJson);
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Header filter must be a JSON object');
+  }
+  return Object.keys(filter).map(name => {
+    const expected = filter[name];
+    let test;
+    if (expected === true) {
+      test = () => true;
+    } else if (typeof expected === 'string' && expected.length > 1 && expected.startsWith('/') && expected.endsWith('/')) {
+      const regex = new RegExp(expected.slice(1, -1));
+      test = value => regex.test(value);
+    } else {
+      test = value => value === String(expected);
+    }
+    return { name: name.toLowerCase(), test };
+  });
+};
+
+const headersMatch = (hdrs, filter) => {
+  if (!hdrs) return false;
+  const record = hdrs.toRecord();
+  const lowerRecord = {};
+  Object.keys(record).forEach(key => {
+    lowerRecord[key.toLowerCase()] = (lowerRecord[key.toLowerCase()] || []).concat(record[key]);
+  });
+  return filter.every(rule => (lowerRecord[rule.name] || []).some(value => rule.test(value)));
+};
+
+module.exports = {
+  headersToObject,
+  parseHeaderFilter,
+  headersMatch
+};
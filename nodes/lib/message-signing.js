@@ -0,0 +1,84 @@
+'use strict';
+
+const { nkeys, Match } = require('nats');
+const { getHeader, setHeader } = require('./payload-codecs');
+
+// Message signing with ed25519 NKeys: The signature covers the payload and the headers listed in
+// Signature-Headers (in that order), the signer's public key travels in Signature-Key
+const SIGNATURE_HEADER = 'Signature';
+const SIGNATURE_KEY_HEADER = 'Signature-Key';
+const SIGNED_HEADERS_HEADER = 'Signature-Headers';
+const SIGNING_INPUT_PREFIX = 'nats-suite-signature-v1\n';
+
+// Parses a comma- or newline-separated list (header names, public keys)
+const parseList = (value) => String(value || '').split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+
+// Key pair from an NKey seed (e.g. "SU..."), throws SIGNING_ERROR if the seed is invalid
+const createKeyPair = (seed) => {
+  try {
+    return nkeys.fromSeed(new TextEncoder().encode(String(seed || '').trim()));
+  } catch (err) {
+    throw Object.assign(new Error(`Invalid NKey seed: ${err.message}`), { code: 'SIGNING_ERROR' });
+  }
+};
+
+// Canonical input: prefix, "name:value" per signed header (lower-cased name), empty line, payload
+const buildSigningInput = (hdrs, data, headerNames) => {
+  const headerLines = headerNames.map(name => {
+    const values = hdrs ? hdrs.values(name, Match.IgnoreCase) : [];
+    return `${name.toLowerCase()}:${values.join(',')}\n`;
+  }).join('');
+  return Buffer.concat([Buffer.from(SIGNING_INPUT_PREFIX + headerLines + '\n', 'utf8'), Buffer.from(data || [])]);
+};
+
+// Signs data and the given headers, adds the signature headers and returns the headers
+const signMessage = (keyPair, hdrs, data, headerNames = []) => {
+  const signature = keyPair.sign(buildSigningInput(hdrs, data, headerNames));
+  setHeader(hdrs, SIGNED_HEADERS_HEADER, headerNames.join(','));
+  setHeader(hdrs, SIGNATURE_KEY_HEADER, keyPair.getPublicKey());
+  return setHeader(hdrs, SIGNATURE_HEADER, Buffer.from(signature).toString('base64'));
+};
+
+const verificationFailure = (code, reason, publicKey = null) => ({ valid: false, code, reason, publicKey });
+
+// Verifies a received message against a set of trusted public keys.
+// Returns { valid: true, publicKey } or { valid: false, code, reason, publicKey }.
+const verifyMessage = (hdrs, data, trustedKeys) => {
+  const signature = getHeader(hdrs, SIGNATURE_HEADER);
+  const publicKey = getHeader(hdrs, SIGNATURE_KEY_HEADER);
+  if (!signature || !publicKey) {
+    return verificationFailure('SIGNATURE_MISSING', 'Message is not signed');
+  }
+  if (!trustedKeys.has(publicKey)) {
+    return verificationFailure('SIGNATURE_UNTRUSTED_KEY', 'Signed by a key that is not in the allow-list', publicKey);
+  }
+
+  let verifier;
+  try {
+    verifier = nkeys.fromPublic(publicKey);
+  } catch (err) {
+    return verificationFailure('SIGNATURE_MALFORMED', `Malformed public key: ${err.message}`, publicKey);
+  }
+  const headerNames = parseList(getHeader(hdrs, SIGNED_HEADERS_HEADER));
+  const input = buildSigningInput(hdrs, data, headerNames);
+  let valid = false;
+  try {
+    valid = verifier.verify(input, Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return verificationFailure('SIGNATURE_MALFORMED', `Malformed signature: ${err.message}`, publicKey);
+  }
+  if (!valid) {
+    return verificationFailure('SIGNATURE_INVALID', 'Signature does not match the payload and signed headers', publicKey);
+  }
+  return { valid: true, publicKey };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  SIGNATURE_KEY_HEADER,
+  SIGNED_HEADERS_HEADER,
+  parseList,
+  createKeyPair,
+  signMessage,
+  verifyMessage
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const { Match } = require('nats');
+const { encode: encodeMsgPack, decode: decodeMsgPack } = require('@msgpack/msgpack');
+const { encode: encodeCbor, decode: decodeCbor } = require('cbor-x');
+
+const CONTENT_TYPE_HEADER = 'Content-Type';
+
+// Protobuf (schema-based, see nats-suite-protobuf-schema): the message type travels in its own header
+const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+const PROTOBUF_TYPE_HEADER = 'Protobuf-Type';
+
+// Binary payload codecs shared by publish, subscribe, request, reply and stream-publisher.
+// contentType is set as header on encode; aliases are accepted on decode.
+const CODECS = {
+  msgpack: {
+    contentType: 'application/msgpack',
+    aliases: ['application/x-msgpack', 'application/vnd.msgpack'],
+    encode: (value) => {
+      const data = encodeMsgPack(value);
+      return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    },
+    decode: (data) => decodeMsgPack(data)
+  },
+  cbor: {
+    contentType: 'application/cbor',
+    aliases: [],
+    encode: (value) => encodeCbor(value),
+    decode: (data) => decodeCbor(data)
+  }
+};
+
+// Returns the codec for a configured format ('msgpack', 'cbor'), or null for text formats
+const getCodec = (format) => CODECS[format] || null;
+
+// Returns the payload format for a Content-Type value ('msgpack', 'cbor', 'json', 'string', 'buffer'),
+// or null if unknown. Parameters like "; charset=utf-8" are ignored.
+const getFormatForContentType = (contentType) => {
+  if (!contentType) return null;
+  const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+  const format = Object.keys(CODECS).find(key => {
+    return CODECS[key].contentType === mediaType || CODECS[key].aliases.includes(mediaType);
+  });
+  if (format) return format;
+  if (mediaType === PROTOBUF_CONTENT_TYPE || mediaType === 'application/protobuf') return 'protobuf';
+  if (mediaType === 'application/json' || mediaType.endsWith('+json')) return 'json';
+  if (mediaType.startsWith('text/')) return 'string';
+  if (mediaType === 'application/octet-stream') return 'buffer';
+  return null;
+};
+
+// Reads a header of a NATS message (header names are case-insensitive)
+const getHeader = (hdrs, name) => {
+  if (!hdrs) return '';
+  return hdrs.get(name, Match.IgnoreCase) || '';
+};
+
+const getContentType = (hdrs) => getHeader(hdrs, CONTENT_TYPE_HEADER);
+
+// Sets a header on a NATS headers object, replacing any existing value regardless of case
+const setHeader = (hdrs, name, value) => {
+  hdrs.delete(name, Match.IgnoreCase);
+  hdrs.set(name, value);
+  return hdrs;
+};
+
+// Sets the codec's Content-Type on a NATS headers object
+const setContentType = (hdrs, codec) => setHeader(hdrs, CONTENT_TYPE_HEADER, codec.contentType);
+
+// Sets Content-Type and message type of a Protobuf payload
+const setProtobufHeaders = (hdrs, typeName) => {
+  setHeader(hdrs, CONTENT_TYPE_HEADER, PROTOBUF_CONTENT_TYPE);
+  return setHeader(hdrs, PROTOBUF_TYPE_HEADER, typeName);
+};
+
+module.exports = {
+  CONTENT_TYPE_HEADER,
+  PROTOBUF_TYPE_HEADER,
+  getCodec,
+  getFormatForContentType,
+  getHeader,
+  getContentType,
+  setHeader,
+  setContentType,
+  setProtobufHeaders
+};
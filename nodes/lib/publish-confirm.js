@@ -0,0 +1,60 @@
+'use strict';
+
+// Confirmed publish for core NATS: Publishes are grouped and confirmed together by a flush() (PING/PONG
+// round-trip). The server processes a connection's messages in order, so the PONG confirms all publishes before it.
+const DEFAULT_TIMEOUT = 10000;
+
+const createConfirmError = (message) => {
+  const err = new Error(message);
+  err.code = 'PUBLISH_NOT_CONFIRMED';
+  return err;
+};
+
+// latency: max. ms a publish waits before its group is flushed, batchSize: publishes per flush
+const createPublishConfirmer = ({ latency = 10, batchSize = 100, timeout = DEFAULT_TIMEOUT }) => {
+  let batch = null; // { nc, count, promise, resolve, reject, timer }
+
+  const flushBatch = () => {
+    if (!batch) return;
+    const current = batch;
+    batch = null;
+    clearTimeout(current.timer);
+    let timeoutTimer;
+    const timedOut = new Promise((resolve, reject) => {
+      timeoutTimer = setTimeout(() => reject(createConfirmError(`No confirmation from the server within ${timeout} ms`)), timeout);
+    });
+    Promise.race([current.nc.flush(), timedOut])
+      .then(() => current.resolve(current.count))
+      .catch(err => current.reject(err.code === 'PUBLISH_NOT_CONFIRMED' ? err : createConfirmError(`Publish not confirmed: ${err.message}`)))
+      .finally(() => clearTimeout(timeoutTimer));
+  };
+
+  // Resolves (with the group size) once the server has received the publish, rejects with PUBLISH_NOT_CONFIRMED
+  const confirm = (nc) => {
+    if (batch && batch.nc !== nc) flushBatch();
+    if (!batch) {
+      const next = { nc, count: 0 };
+      next.promise = new Promise((resolve, reject) => {
+        next.resolve = resolve;
+        next.reject = reject;
+      });
+      next.timer = setTimeout(flushBatch, latency);
+      batch = next;
+    }
+    batch.count++;
+    const { promise } = batch;
+    if (batch.count >= batchSize) flushBatch();
+    return promise;
+  };
+
+  return {
+    confirm,
+    // Flushes the open group now (e.g. on close)
+    flushNow: flushBatch,
+    pending: () => (batch ? batch.count : 0)
+  };
+};
+
+module.exports = {
+  createPublishConfirmer
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+// Subject templates like "plant.{{site}}.{{line}}.{{msg.payload.tag}}", resolved per message
+const TOKEN_REGEX = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Characters NATS doesn't allow in subjects (whitespace and control characters)
+const INVALID_SUBJECT_CHARS = /[\s\u0000-\u001f\u007f]/;
+
+// A token value fills exactly one subject token: separators and wildcards would change the subject's structure
+const INVALID_TOKEN_VALUE_CHARS = /[.*>]/;
+
+const createTemplateError = (message, code, token = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.token = token;
+  return err;
+};
+
+const isTemplate = (value) => typeof value === 'string' && value.includes('{{');
+
+// Resolves all tokens with lookup(scope, path). Scope is 'msg', 'flow', 'global' or null for bare
+// tokens ({{site}}), which the lookup resolves from msg, then flow, then global context.
+// Throws SUBJECT_TEMPLATE_ERROR if a token is empty, missing, not a primitive value or contains ".", "*" or ">".
+const resolveSubjectTemplate = (template, lookup) => {
+  return template.replace(TOKEN_REGEX, (match, expression) => {
+    if (!expression) {
+      throw createTemplateError(`Empty token in subject template "${template}"`, 'SUBJECT_TEMPLATE_ERROR', match);
+    }
+    const scopeMatch = /^(msg|flow|global)\.(.+)$/.exec(expression);
+    const value = scopeMatch ? lookup(scopeMatch[1], scopeMatch[2]) : lookup(null, expression);
+
+    if (value === undefined || value === null || value === '') {
+      throw createTemplateError(`Subject token "${expression}" is not set`, 'SUBJECT_TEMPLATE_ERROR', expression);
+    }
+    if (typeof value === 'object') {
+      throw createTemplateError(`Subject token "${expression}" is not a string or number`, 'SUBJECT_TEMPLATE_ERROR', expression);
+    }
+    if (INVALID_TOKEN_VALUE_CHARS.test(String(value))) {
+      throw createTemplateError(`Subject token "${expression}" contains ".", "*" or ">"`, 'SUBJECT_TEMPLATE_ERROR', expression);
+    }
+    return String(value);
+  });
+};
+
+// Returns the reason a subject can't be published to, or null if it is valid
+const validatePublishSubject = (subject) => {
+  if (!subject) return 'subject is empty';
+  if (INVALID_SUBJECT_CHARS.test(subject)) return 'subject contains whitespace or control characters';
+  if (subject.includes('{{') || subject.includes('}}')) return 'subject contains an unresolved token';
+  const tokens = subject.split('.');
+  if (tokens.some(token => token === '')) return 'subject contains an empty token';
+  if (tokens.some(token => token === '*' || token === '>')) return 'subject contains a wildcard';
+  return null;
+};
+
+module.exports = {
+  isTemplate,
+  resolveSubjectTemplate,
+  validatePublishSubject
+};
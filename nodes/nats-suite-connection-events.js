@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = function (RED) {
+  const EVENT_TYPES = ['connect', 'disconnect', 'reconnect_attempt', 'lame_duck', 'slow_consumer', 'permission_error'];
+
+  function NatsConnectionEventsNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    // Validate server configuration
+    if (!config.server) {
+      node.error('NATS server configuration not selected');
+      node.status({ fill: 'red', shape: 'ring', text: 'no server' });
+      return;
+    }
+
+    this.serverConfig = RED.nodes.getNode(config.server);
+    if (!this.serverConfig) {
+      node.error('NATS server configuration not found');
+      node.status({ fill: 'red', shape: 'ring', text: 'server not found' });
+      return;
+    }
+
+    // Event filter: Nodes saved before an event type existed receive it by default
+    const enabledEvents = new Set(EVENT_TYPES.filter(type => config[`event_${type}`] !== false));
+
+    const statusFill = {
+      connect: 'green',
+      disconnect: 'red',
+      reconnect_attempt: 'yellow',
+      lame_duck: 'yellow',
+      slow_consumer: 'yellow',
+      permission_error: 'red'
+    };
+
+    let eventCount = 0;
+
+    // Register with connection pool
+    this.serverConfig.registerConnectionUser(node.id);
+
+    const eventListener = (connectionEvent) => {
+      if (!enabledEvents.has(connectionEvent.event)) return;
+
+      eventCount++;
+      node.send({
+        topic: connectionEvent.event,
+        payload: {
+          event: connectionEvent.event,
+          timestamp: connectionEvent.timestamp,
+          server: connectionEvent.server,
+          details: connectionEvent.details
+        },
+        statusInfo: connectionEvent.statusInfo,
+        poolStats: connectionEvent.poolStats
+      });
+
+      node.status({
+        fill: statusFill[connectionEvent.event] || 'grey',
+        shape: 'dot',
+        text: `${connectionEvent.event} (${eventCount})`
+      });
+    };
+
+    this.serverConfig.addEventListener(eventListener);
+    node.status({ fill: 'grey', shape: 'ring', text: 'listening' });
+
+    // Cleanup on close
+    node.on('close', function () {
+      node.serverConfig.removeEventListener(eventListener);
+      node.serverConfig.unregisterConnectionUser(node.id);
+      node.status({});
+    });
+  }
+
+  RED.nodes.registerType('nats-suite-connection-events', NatsConnectionEventsNode);
+};
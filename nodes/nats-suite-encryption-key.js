@@ -0,0 +1,63 @@
+'use strict';
+
+const { parseKey, encrypt, decrypt } = require('./lib/envelope-encryption');
+
+// Previous keys: "keyId:key" entries, one per line or comma-separated
+const parsePreviousKeys = (value) => {
+  return String(value || '').split(/[\n,]/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Previous key "${entry.slice(0, 8)}..." must be given as keyId:key`);
+    }
+    return { keyId: entry.slice(0, separator).trim(), key: parseKey(entry.slice(separator + 1)) };
+  });
+};
+
+module.exports = function (RED) {
+  function NatsEncryptionKeyNode(n) {
+    RED.nodes.createNode(this, n);
+    const node = this;
+
+    this.name = n.name;
+    this.keyId = (n.keyId || '').trim();
+
+    // Key ring: The active key encrypts, all keys decrypt (rotation keeps older messages readable)
+    const keys = new Map();
+    const credentials = this.credentials || {};
+    let configError = null;
+    try {
+      if (!this.keyId) {
+        throw new Error('Key id is required');
+      }
+      parsePreviousKeys(credentials.previousKeys).forEach(entry => keys.set(entry.keyId, entry.key));
+      keys.set(this.keyId, parseKey(credentials.key));
+    } catch (err) {
+      configError = err;
+      node.error(`[ENCRYPTION] Invalid key configuration: ${err.message}`);
+    }
+
+    // Encrypt: Returns the envelope and the id of the key used
+    this.encrypt = (data) => {
+      if (configError) {
+        throw Object.assign(new Error(`Encryption key not usable: ${configError.message}`), { code: 'ENCRYPT_ERROR' });
+      }
+      return { data: encrypt(keys.get(node.keyId), node.keyId, data), keyId: node.keyId };
+    };
+
+    // Decrypt: Picks the key by the envelope's key id
+    this.decrypt = (data) => decrypt(keyId => keys.get(keyId) || null, data);
+
+    this.getKeyIds = () => Array.from(keys.keys());
+
+    node.on('close', function () {
+      keys.clear();
+    });
+  }
+
+  RED.nodes.registerType('nats-suite-encryption-key', NatsEncryptionKeyNode, {
+    credentials: {
+      key: { type: 'password' },
+      previousKeys: { type: 'password' }
+    }
+  });
+};
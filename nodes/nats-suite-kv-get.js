@@ -1,5 +1,9 @@
 'use strict';
 
+const { isEnvelope } = require('./lib/envelope-encryption');
+
+const ENCRYPTION_ERROR_CODES = ['NOT_ENCRYPTED', 'DECRYPT_ERROR', 'UNKNOWN_KEY_ID'];
+
 module.exports = function (RED) {
   function UnsKvGetNode(config) {
     RED.nodes.createNode(this, config);
@@ -39,8 +43,9 @@ module.exports = function (RED) {
     }
 
     let kvStore = null;
-    let watcher = null;
     let isWatching = false;
+    let lastWatchRevision = 0; // Last revision delivered by the watcher
+    const watchRegistryKey = `${node.id}:watch`;
     const isDebug = config.debug || this.serverConfig.debug || false;
 
     // Helper: Get or create KV bucket
@@ -97,6 +102,25 @@ module.exports = function (RED) {
       return value;
     };
 
+    // Helper: Value of an entry as string, decrypted if it is an encryption envelope
+    // (plain values are only passed through with allowPlaintext, so a bucket can be migrated gradually)
+    const readValue = (entry) => {
+      if (!config.encryptionKey) {
+        return entry.string();
+      }
+      if (!isEnvelope(entry.value)) {
+        if (config.allowPlaintext) {
+          return entry.string();
+        }
+        throw Object.assign(new Error('Value is not encrypted but an encryption key is configured'), { code: 'NOT_ENCRYPTED' });
+      }
+      const encryptionKey = RED.nodes.getNode(config.encryptionKey);
+      if (!encryptionKey) {
+        throw Object.assign(new Error('Value is encrypted but the encryption key configuration was not found'), { code: 'DECRYPT_ERROR' });
+      }
+      return encryptionKey.decrypt(entry.value).toString('utf8');
+    };
+
     // Helper: Get single key
     const getValue = async (key) => {
       try {
@@ -107,7 +131,7 @@ module.exports = function (RED) {
           return null;
         }
 
-        const value = entry.string();
+        const value = readValue(entry);
         const parsedValue = parseValue(value);
 
         const result = {
@@ -128,7 +152,7 @@ module.exports = function (RED) {
             for await (const h of history) {
               historyArray.push({
                 revision: h.revision,
-                value: parseValue(h.string()),
+                value: parseValue(readValue(h)),
                 created: h.created ? new Date(h.created).toISOString() : null,
                 operation: h.operation,
               });
@@ -171,72 +195,111 @@ module.exports = function (RED) {
       }
     };
 
+    // Helper: Create a watcher on the current connection and start processing its events
+    const openWatcher = async () => {
+      // Cached bucket handle belongs to the previous connection
+      kvStore = null;
+      const kv = await getKVBucket();
+
+      // Determine watch options
+      const watchOptions = {};
+      if (config.watchPattern) {
+        watchOptions.key = config.watchPattern;
+      }
+
+      if (config.ignoreDeletes) {
+        watchOptions.ignoreDeletes = true;
+      }
+
+      // Resume after the last seen revision when re-created on a new connection
+      if (lastWatchRevision > 0) {
+        watchOptions.resumeFromRevision = lastWatchRevision + 1;
+      }
+
+      const newWatcher = await kv.watch(watchOptions);
+
+      // Process watch events
+      (async () => {
+        try {
+          for await (const entry of newWatcher) {
+            if (!isWatching) break;
+
+            lastWatchRevision = entry.revision;
+            let value = null;
+            try {
+              value = entry.value ? readValue(entry) : null;
+            } catch (decryptErr) {
+              // A value that can't be decrypted must not stop the watcher
+              node.error({
+                message: decryptErr.message,
+                code: decryptErr.code || 'DECRYPT_ERROR',
+                keyId: decryptErr.keyId || null
+              }, { key: entry.key, revision: entry.revision });
+              continue;
+            }
+            const parsedValue = value !== null ? parseValue(value) : null;
+
+            const msg = {
+              payload: parsedValue,
+              key: entry.key,
+              operation: entry.operation,
+              revision: entry.revision,
+              created: entry.created ? new Date(entry.created).toISOString() : null,
+              bucket: node.bucket,
+              _watchEvent: true,
+            };
+
+            node.send(msg);
+            
+            node.status({ 
+              fill: 'blue', 
+              shape: 'dot', 
+              text: `${entry.operation}: ${entry.key}` 
+            });
+            
+            // Reset status after 1 second
+            setTimeout(() => {
+              if (isWatching) {
+                node.status({ fill: 'green', shape: 'dot', text: 'watching' });
+              }
+            }, 1000);
+          }
+        } catch (err) {
+          if (isWatching) {
+            node.error(`Watch error: ${err.message}`);
+            node.status({ fill: 'red', shape: 'ring', text: 'watch error' });
+          }
+        }
+      })();
+
+      return newWatcher;
+    };
+
     // Helper: Start watching keys
     const startWatch = async () => {
       if (isWatching) return;
 
       try {
-        const kv = await getKVBucket();
-        
-        // Determine watch options
-        const watchOptions = {};
-        if (config.watchPattern) {
-          watchOptions.key = config.watchPattern;
-        }
-        
-        if (config.ignoreDeletes) {
-          watchOptions.ignoreDeletes = true;
-        }
-
-        watcher = await kv.watch(watchOptions);
+        await node.serverConfig.getConnection();
         isWatching = true;
 
+        // Subscription Registry: the server config re-creates the watcher after a reconnect
+        await node.serverConfig.registerSubscription(watchRegistryKey, {
+          nodeId: node.id,
+          create: openWatcher,
+          close: (w) => w.stop(),
+          onRestored: () => {
+            node.status({ fill: 'green', shape: 'dot', text: 'watching' });
+            if (isDebug) node.log(`[KV GET] Watch restored from revision ${lastWatchRevision + 1}`);
+          },
+          onError: () => node.status({ fill: 'red', shape: 'ring', text: 'watch failed' })
+        });
+
         node.status({ fill: 'green', shape: 'dot', text: 'watching' });
         if (isDebug) node.log(`[KV GET] Started watching: ${config.watchPattern || '*'}`);
 
-        // Process watch events
-        (async () => {
-          try {
-            for await (const entry of watcher) {
-              if (!isWatching) break;
-
-              const value = entry.value ? entry.string() : null;
-              const parsedValue = value !== null ? parseValue(value) : null;
-
-              const msg = {
-                payload: parsedValue,
-                key: entry.key,
-                operation: entry.operation,
-                revision: entry.revision,
-                created: entry.created ? new Date(entry.created).toISOString() : null,
-                bucket: node.bucket,
-                _watchEvent: true,
-              };
-
-              node.send(msg);
-              
-              node.status({ 
-                fill: 'blue', 
-                shape: 'dot', 
-                text: `${entry.operation}: ${entry.key}` 
-              });
-              
-              // Reset status after 1 second
-              setTimeout(() => {
-                if (isWatching) {
-                  node.status({ fill: 'green', shape: 'dot', text: 'watching' });
-                }
-              }, 1000);
-            }
-          } catch (err) {
-            if (isWatching) {
-              node.error(`Watch error: ${err.message}`);
-              node.status({ fill: 'red', shape: 'ring', text: 'watch error' });
-            }
-          }
-        })();
-
       } catch (err) {
+        isWatching = false;
         node.error(`Failed to start watch: ${err.message}`);
         node.status({ fill: 'red', shape: 'ring', text: 'watch failed' });
       }
@@ -244,16 +307,15 @@ module.exports = function (RED) {
 
     // Helper: Stop watching
     const stopWatch = async () => {
-      if (watcher) {
+      if (isWatching) {
+        isWatching = false;
         try {
-          await watcher.stop();
+          await node.serverConfig.unregisterSubscription(watchRegistryKey);
           if (isDebug) node.log(`[KV GET] Stopped watching`);
         } catch (err) {
           node.warn(`Error stopping watch: ${err.message}`);
         }
-        watcher = null;
       }
-      isWatching = false;
     };
 
     // Register with connection pool
@@ -345,7 +407,12 @@ module.exports = function (RED) {
         }
 
       } catch (err) {
-        node.error(`KV GET error: ${err.message}`, msg);
+        if (ENCRYPTION_ERROR_CODES.includes(err.code)) {
+          // Encryption: Keep the code (and key id) for catch nodes
+          node.error({ message: `KV GET error: ${err.message}`, code: err.code, keyId: err.keyId || null }, msg);
+        } else {
+          node.error(`KV GET error: ${err.message}`, msg);
+        }
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
       }
     });
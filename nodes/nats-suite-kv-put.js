@@ -80,12 +80,18 @@ module.exports = function (RED) {
       }
     };
 
-    // Helper: Stringify value if needed
+    // Helper: Stringify value if needed (and encrypt it if an encryption key is selected)
     const prepareValue = (value) => {
-      if (config.stringifyJSON && typeof value === 'object') {
-        return JSON.stringify(value);
+      const prepared = (config.stringifyJSON && typeof value === 'object') ? JSON.stringify(value) : String(value);
+      if (!config.encryptionKey) {
+        return prepared;
       }
-      return String(value);
+      // KV entries have no headers, the key id travels inside the envelope
+      const encryptionKey = RED.nodes.getNode(config.encryptionKey);
+      if (!encryptionKey) {
+        throw new Error('Encryption key configuration not found');
+      }
+      return encryptionKey.encrypt(Buffer.from(prepared)).data;
     };
 
     // Bucket Management Operations
@@ -0,0 +1,183 @@
+'use strict';
+
+const protobuf = require('protobufjs');
+
+// Schema errors carry a consistent code, the message type and (if known) the field path
+const createSchemaError = (code, message, typeName, field = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.type = typeName;
+  err.field = field;
+  return err;
+};
+
+// Collects the full names of all message types in a schema root
+const listMessageTypes = (namespace, result = []) => {
+  (namespace.nestedArray || []).forEach(nested => {
+    if (nested instanceof protobuf.Type) {
+      result.push(nested.fullName.replace(/^\./, ''));
+    }
+    if (nested.nestedArray) {
+      listMessageTypes(nested, result);
+    }
+  });
+  return result;
+};
+
+module.exports = function (RED) {
+  function NatsProtobufSchemaNode(n) {
+    RED.nodes.createNode(this, n);
+    const node = this;
+
+    this.name = n.name;
+    this.source = n.source || 'file'; // 'file' | 'kv'
+    this.protoFiles = (n.protoFiles || '').split(/[\n,]/).map(file => file.trim()).filter(Boolean);
+    this.bucket = n.bucket || '';
+    this.keys = (n.keys || '').split(',').map(key => key.trim()).filter(Boolean);
+    // Config nodes may be created in any order, so the server config is looked up on use
+    const getServerConfig = () => (n.server ? RED.nodes.getNode(n.server) : null);
+
+    let rootPromise = null; // Cached schema, reset when the KV schema changes
+    const watchRegistryKey = `${node.id}:schema`;
+    const isDebug = !!n.debug;
+
+    // Field names are kept as written in the .proto files (no camelCase conversion)
+    const parseOptions = { keepCase: true };
+
+    const loadRoot = async () => {
+      if (node.source === 'kv') {
+        const serverConfig = getServerConfig();
+        if (!serverConfig) {
+          throw new Error('NATS server configuration not found');
+        }
+        if (!node.bucket || node.keys.length === 0) {
+          throw new Error('KV bucket and schema keys are required');
+        }
+        const nc = await serverConfig.getConnection();
+        const kv = await nc.jetstream().views.kv(node.bucket, { bindOnly: true });
+        const root = new protobuf.Root();
+        for (const key of node.keys) {
+          const entry = await kv.get(key);
+          if (!entry || !entry.value || entry.value.length === 0) {
+            throw new Error(`Schema "${key}" not found in KV bucket "${node.bucket}"`);
+          }
+          protobuf.parse(entry.string(), root, parseOptions);
+        }
+        root.resolveAll();
+        return root;
+      }
+
+      if (node.protoFiles.length === 0) {
+        throw new Error('No .proto files configured');
+      }
+      const root = await new protobuf.Root().load(node.protoFiles, parseOptions);
+      root.resolveAll();
+      return root;
+    };
+
+    // Schema: Loaded on first use; a failed load is retried on the next use
+    this.getRoot = () => {
+      if (!rootPromise) {
+        rootPromise = loadRoot().then(root => {
+          if (isDebug) node.log(`[PROTOBUF] Loaded ${listMessageTypes(root).length} message types`);
+          return root;
+        }).catch(err => {
+          rootPromise = null;
+          throw createSchemaError('PROTOBUF_SCHEMA_ERROR', `Failed to load schema: ${err.message}`, null);
+        });
+      }
+      return rootPromise;
+    };
+
+    this.getMessageTypes = async () => listMessageTypes(await node.getRoot());
+
+    this.lookupType = async (typeName) => {
+      const root = await node.getRoot();
+      try {
+        return root.lookupType(typeName);
+      } catch (err) {
+        throw createSchemaError('PROTOBUF_UNKNOWN_TYPE', `Unknown message type "${typeName}"`, typeName);
+      }
+    };
+
+    // Encode: Verifies the payload against the type, so errors name the offending field
+    this.encode = async (typeName, payload) => {
+      const type = await node.lookupType(typeName);
+      const problem = type.verify(payload);
+      if (problem) {
+        throw createSchemaError('PROTOBUF_ENCODE_ERROR', `${typeName}: ${problem}`, typeName, problem.split(':')[0]);
+      }
+      try {
+        const data = type.encode(type.fromObject(payload)).finish();
+        return { data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), typeName: type.fullName.replace(/^\./, '') };
+      } catch (err) {
+        throw createSchemaError('PROTOBUF_ENCODE_ERROR', `${typeName}: ${err.message}`, typeName);
+      }
+    };
+
+    // Decode: Returns a plain object (enums as names, 64-bit integers as numbers, defaults included)
+    this.decode = async (typeName, data) => {
+      const type = await node.lookupType(typeName);
+      try {
+        return type.toObject(type.decode(data), { enums: String, longs: Number, defaults: true });
+      } catch (err) {
+        const missingField = /missing required '([^']+)'/.exec(err.message);
+        throw createSchemaError('PROTOBUF_DECODE_ERROR', `${typeName}: ${err.message}`, typeName, missingField ? missingField[1] : null);
+      }
+    };
+
+    // KV schemas: Reload after a schema key changes (or after a reconnect, changes may have been missed)
+    let watchServerConfig = null;
+    if (this.source === 'kv' && this.bucket && this.keys.length > 0) {
+      setImmediate(() => {
+        watchServerConfig = getServerConfig();
+        if (!watchServerConfig) return;
+
+        watchServerConfig.registerConnectionUser(node.id);
+        watchServerConfig.registerSubscription(watchRegistryKey, {
+          nodeId: node.id,
+          create: async (nc) => {
+            const kv = await nc.jetstream().views.kv(node.bucket, { bindOnly: true });
+            const watcher = await kv.watch({ key: node.keys, include: 'updates' });
+            (async () => {
+              for await (const entry of watcher) {
+                if (isDebug) node.log(`[PROTOBUF] Schema "${entry.key}" changed, reloading`);
+                rootPromise = null;
+              }
+            })().catch(() => {});
+            return watcher;
+          },
+          close: (watcher) => watcher.stop(),
+          onRestored: () => {
+            rootPromise = null;
+          }
+        }).catch(err => node.warn(`[PROTOBUF] Failed to watch schema keys: ${err.message}`));
+      });
+    }
+
+    node.on('close', async function (done) {
+      if (watchServerConfig) {
+        await watchServerConfig.unregisterSubscription(watchRegistryKey);
+        watchServerConfig.unregisterConnectionUser(node.id);
+      }
+      rootPromise = null;
+      done();
+    });
+  }
+
+  RED.nodes.registerType('nats-suite-protobuf-schema', NatsProtobufSchemaNode);
+
+  // Editor: Message types of a deployed schema (for the type pickers in publish/subscribe nodes)
+  RED.httpAdmin.get('/nats-suite-protobuf-schema/:id/types', RED.auth.needsPermission('nats-suite-protobuf-schema.read'), async (req, res) => {
+    const schema = RED.nodes.getNode(req.params.id);
+    if (!schema || typeof schema.getMessageTypes !== 'function') {
+      res.status(404).json({ error: 'Schema not deployed' });
+      return;
+    }
+    try {
+      res.json(await schema.getMessageTypes());
+    } catch (err) {
+      res.status(503).json({ error: err.message });
+    }
+  });
+};
@@ -4,6 +4,18 @@ const { StringCodec, headers: natsHeaders } = require('nats');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { getCodec, getHeader, setHeader, setContentType, setProtobufHeaders } = require('./lib/payload-codecs');
+const { isTemplate, resolveSubjectTemplate, validatePublishSubject } = require('./lib/subject-template');
+const { createCloudEvent, encodeData, toStructured, setBinaryHeaders, setStructuredHeaders } = require('./lib/cloudevents');
+const { setEncryptionHeaders } = require('./lib/envelope-encryption');
+const { parseList, createKeyPair, signMessage } = require('./lib/message-signing');
+const { createBufferWal } = require('./lib/buffer-wal');
+const { MSG_ID_HEADER } = require('./lib/dedup-window');
+const { getPriority, sortByPriority, selectDropIndex, createKeyedRateLimiter } = require('./lib/flow-control');
+const {
+  getClaimThreshold, getClaimBucketOptions, syncClaimBucketTtl, createClaimName, storeClaim, setClaimHeaders
+} = require('./lib/claim-check');
+const { createPublishConfirmer } = require('./lib/publish-confirm');
 
 module.exports = function (RED) {
   function NatsPublishNode(config) {
@@ -84,6 +96,7 @@ module.exports = function (RED) {
       bufferSizeBytes = MIN_BUFFER_SIZE_BYTES;
     }
     const bufferMode = config.bufferMode || 'drop-oldest';
+    const bufferPriorityDrop = !!config.bufferPriorityDrop; // Overflow drops the lowest msg.priority first
     const bufferPersistence = config.bufferPersistence || 'none';
     const bufferAutoSaveInterval = Math.max(5, Math.min(300, parseInt(config.bufferAutoSaveInterval, 10) || 30)); // 5-300 seconds
     let messageQueue = [];
@@ -182,6 +195,53 @@ module.exports = function (RED) {
       return path.join(bufferDir, `buffer-${node.id}.json`);
     };
     
+    // Persistence (file): Append-only write-ahead log in segments next to the legacy buffer file,
+    // records are written when a message is buffered or dropped, the log is compacted after a flush
+    const useBufferWal = enableBuffer && (bufferPersistence === 'file' || bufferPersistence === 'both');
+    const bufferFsync = config.bufferFsync || 'always'; // 'always' | 'interval' | 'none'
+    let bufferWal = null;
+    if (useBufferWal) {
+      const bufferFilePath = getBufferFilePath();
+      if (bufferFilePath) {
+        bufferWal = createBufferWal({
+          dir: path.join(path.dirname(bufferFilePath), `wal-${node.id}`),
+          segmentSize: Math.max(parseInt(config.bufferSegmentSize, 10) || 4, 1) * 1024 * 1024,
+          fsync: bufferFsync,
+          fsyncInterval: Math.max(parseInt(config.bufferFsyncInterval, 10) || 1000, 10),
+          onWarn: (text) => node.warn(`[NATS-SUITE PUBLISH] Buffer log: ${text}`)
+        });
+      }
+    }
+    
+    // Helper functions: Log buffered / removed messages (a failing disk must not stop publishing)
+    const walAppend = (msg) => {
+      if (!bufferWal) return;
+      try {
+        bufferWal.append(msg);
+      } catch (err) {
+        node.warn(`[NATS-SUITE PUBLISH] Failed to write buffer log: ${err.message}`);
+      }
+    };
+    const walRemove = (msgs) => {
+      if (!bufferWal) return;
+      try {
+        bufferWal.remove(msgs);
+        if (bufferWal.needsCompaction()) {
+          bufferWal.compact(messageQueue);
+        }
+      } catch (err) {
+        node.warn(`[NATS-SUITE PUBLISH] Failed to write buffer log: ${err.message}`);
+      }
+    };
+    const walCompact = () => {
+      if (!bufferWal) return;
+      try {
+        bufferWal.compact(messageQueue);
+      } catch (err) {
+        node.warn(`[NATS-SUITE PUBLISH] Failed to compact buffer log: ${err.message}`);
+      }
+    };
+    
     // Persistence: Load buffer from storage
     const loadBuffer = () => {
       if (!enableBuffer || bufferPersistence === 'none') {
@@ -190,6 +250,26 @@ module.exports = function (RED) {
       
       let loadedFromContext = false;
       let loadedFromFile = false;
+
+      // Clean up loaded messages before they are queued or written to the log
+      const cleanLoadedMessage = (msg) => {
+        // Remove internal flags that shouldn't persist
+        const cleanedMsg = { ...msg };
+        delete cleanedMsg._flushing;
+        delete cleanedMsg._batched;
+        delete cleanedMsg._rateLimited;
+        delete cleanedMsg._autoReplyProcessed;
+        // Keep _originalTimestamp, _originalStartTime, _originalEndTime (needed for flush)
+        // Messages buffered by older versions get their message ID now
+        if (!cleanedMsg._msgID) {
+          cleanedMsg._msgID = generateUUID();
+        }
+        // Ensure _bufferSize is recalculated if missing
+        if (!cleanedMsg._bufferSize) {
+          cleanedMsg._bufferSize = calculateMessageSize(cleanedMsg);
+        }
+        return cleanedMsg;
+      };
       
       // Load from Context Storage
       if (bufferPersistence === 'context' || bufferPersistence === 'both') {
@@ -199,7 +279,7 @@ module.exports = function (RED) {
           const savedDropped = context.get('droppedMessages') || 0;
           
           if (savedQueue && Array.isArray(savedQueue) && savedQueue.length > 0) {
-            messageQueue = savedQueue;
+            messageQueue = savedQueue.map(cleanLoadedMessage);
             droppedMessages = savedDropped;
             invalidateBufferSizeCache();
             loadedFromContext = true;
@@ -212,33 +292,40 @@ module.exports = function (RED) {
         }
       }
       
-      // Load from File System
-      if (bufferPersistence === 'file' || bufferPersistence === 'both') {
+      // Load from File System (write-ahead log)
+      if (bufferWal) {
         try {
-          const filePath = getBufferFilePath();
-          if (filePath && fs.existsSync(filePath)) {
-            const fileData = fs.readFileSync(filePath, 'utf8');
-            const saved = JSON.parse(fileData);
-            
-            if (saved.queue && Array.isArray(saved.queue) && saved.queue.length > 0) {
-              // If already loaded from context and both is enabled, merge (file takes precedence)
-              if (loadedFromContext && bufferPersistence === 'both') {
-                if (isDebug) {
-                  node.log(`[NATS-SUITE PUBLISH] Merging file buffer (${saved.queue.length} msgs) with context buffer (${messageQueue.length} msgs)`);
-                }
-                // Use file as source of truth (newer)
-                messageQueue = saved.queue;
-                droppedMessages = saved.droppedMessages || 0;
-              } else {
-                messageQueue = saved.queue;
-                droppedMessages = saved.droppedMessages || 0;
-              }
-              invalidateBufferSizeCache();
-              loadedFromFile = true;
-              if (isDebug) {
-                node.log(`[NATS-SUITE PUBLISH] Loaded ${messageQueue.length} messages from File System`);
-              }
+          const { messages } = bufferWal.recover();
+          
+          // Migration: Buffer file of older versions (whole queue as JSON) is moved into the log
+          const legacyFilePath = getBufferFilePath();
+          if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+            const saved = JSON.parse(fs.readFileSync(legacyFilePath, 'utf8'));
+            if (saved.queue && Array.isArray(saved.queue)) {
+              saved.queue.forEach(legacyMsg => {
+                const cleanedMsg = cleanLoadedMessage(legacyMsg);
+                bufferWal.append(cleanedMsg);
+                messages.push(cleanedMsg);
+              });
+              droppedMessages = saved.droppedMessages || 0;
             }
+            fs.unlinkSync(legacyFilePath);
+          }
+          
+          if (messages.length > 0) {
+            if (loadedFromContext && isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] Replacing context buffer (${messageQueue.length} msgs) with buffer log (${messages.length} msgs)`);
+            }
+            // Use the log as source of truth (written on every change)
+            messageQueue = messages.map(cleanLoadedMessage);
+            invalidateBufferSizeCache();
+            loadedFromFile = true;
+            if (isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] Loaded ${messageQueue.length} messages from buffer log`);
+            }
+          } else if (loadedFromContext) {
+            // Log the messages restored from Context Storage, so the log is complete from now on
+            messageQueue.forEach(contextMsg => bufferWal.append(contextMsg));
           }
         } catch (err) {
           node.warn(`[NATS-SUITE PUBLISH] Failed to load buffer from File System: ${err.message}`);
@@ -246,22 +333,6 @@ module.exports = function (RED) {
       }
       
       if ((loadedFromContext || loadedFromFile) && messageQueue.length > 0) {
-        // Clean up loaded messages: remove internal flags that might interfere
-        messageQueue = messageQueue.map(msg => {
-          // Remove internal flags that shouldn't persist
-          const cleanedMsg = { ...msg };
-          delete cleanedMsg._flushing;
-          delete cleanedMsg._batched;
-          delete cleanedMsg._rateLimited;
-          delete cleanedMsg._autoReplyProcessed;
-          // Keep _originalTimestamp, _originalStartTime, _originalEndTime (needed for flush)
-          // Ensure _bufferSize is recalculated if missing
-          if (!cleanedMsg._bufferSize) {
-            cleanedMsg._bufferSize = calculateMessageSize(cleanedMsg);
-          }
-          return cleanedMsg;
-        });
-        
         node.log(`[NATS-SUITE PUBLISH] Restored ${messageQueue.length} buffered messages from ${bufferPersistence === 'both' ? 'Context + File' : bufferPersistence}`);
         
         // Recalculate cache after cleaning
@@ -319,20 +390,8 @@ module.exports = function (RED) {
           }
         }
         
-        // Clear File System
-        if (bufferPersistence === 'file' || bufferPersistence === 'both') {
-          try {
-            const filePath = getBufferFilePath();
-            if (filePath && fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              if (isDebug) {
-                node.log(`[NATS-SUITE PUBLISH] Cleared buffer file from File System`);
-              }
-            }
-          } catch (err) {
-            node.warn(`[NATS-SUITE PUBLISH] Failed to clear buffer file from File System: ${err.message}`);
-          }
-        }
+        // Clear File System (the log is compacted to nothing)
+        walCompact();
         return;
       }
       
@@ -341,25 +400,6 @@ module.exports = function (RED) {
         return;
       }
       
-      // Clean messages before saving: remove internal flags that shouldn't persist
-      const cleanedQueue = messageQueue.map(msg => {
-        const cleanedMsg = { ...msg };
-        // Remove internal processing flags
-        delete cleanedMsg._flushing;
-        delete cleanedMsg._batched;
-        delete cleanedMsg._rateLimited;
-        delete cleanedMsg._autoReplyProcessed;
-        // Keep _bufferSize for performance
-        return cleanedMsg;
-      });
-      
-      const bufferData = {
-        queue: cleanedQueue,
-        droppedMessages: droppedMessages,
-        timestamp: Date.now(),
-        nodeId: node.id
-      };
-      
       // Save to Context Storage
       if (bufferPersistence === 'context' || bufferPersistence === 'both') {
         try {
@@ -374,25 +414,19 @@ module.exports = function (RED) {
         }
       }
       
-      // Save to File System
-      if (bufferPersistence === 'file' || bufferPersistence === 'both') {
+      // File System: The log is written on every change, only sync it on forced saves
+      if (bufferWal && force) {
         try {
-          const filePath = getBufferFilePath();
-          if (filePath) {
-            fs.writeFileSync(filePath, JSON.stringify(bufferData, null, 2), 'utf8');
-            if (isDebug && force) {
-              node.log(`[NATS-SUITE PUBLISH] Saved ${messageQueue.length} messages to File System`);
-            }
-          }
+          bufferWal.sync();
         } catch (err) {
           node.warn(`[NATS-SUITE PUBLISH] Failed to save buffer to File System: ${err.message}`);
         }
       }
     };
     
-    // Auto-save timer
+    // Auto-save timer (Context Storage, the log is written on every change)
     let autoSaveTimer = null;
-    if (enableBuffer && bufferPersistence !== 'none') {
+    if (enableBuffer && (bufferPersistence === 'context' || bufferPersistence === 'both')) {
       autoSaveTimer = setInterval(() => {
         saveBuffer(false); // Silent auto-save
       }, bufferAutoSaveInterval * 1000);
@@ -426,59 +460,34 @@ module.exports = function (RED) {
     const rateLimitBurst = config.rateLimitBurst || 20; // burst capacity
     const rateLimitAction = config.rateLimitAction || 'drop';
     
-    // Token Bucket state
-    let tokenBucket = rateLimit + rateLimitBurst; // Start with full bucket + burst
-    let lastRefillTime = Date.now();
+    // Rate limit key: one token bucket per node, per subject or per value of a msg property
+    const rateLimitKey = config.rateLimitKey || 'node'; // 'node' | 'subject' | 'property'
+    const rateLimitKeyProperty = config.rateLimitKeyProperty || '';
+    
+    // Token Bucket state (each bucket starts full: rate limit + burst)
+    const rateLimiter = createKeyedRateLimiter({ rate: rateLimit, window: rateLimitWindow, burst: rateLimitBurst });
     let droppedByRateLimit = 0;
     let delayQueue = [];
     let delayProcessing = false;
     
-    // Calculate tokens per millisecond
-    const tokensPerMs = rateLimit / rateLimitWindow;
-    
     if (enableRateLimit && isDebug) {
-      node.log(`[NATS-SUITE PUBLISH] Rate limiting enabled: ${rateLimit} msg/${rateLimitWindow}ms, burst=${rateLimitBurst}, action=${rateLimitAction}`);
+      node.log(`[NATS-SUITE PUBLISH] Rate limiting enabled: ${rateLimit} msg/${rateLimitWindow}ms, burst=${rateLimitBurst}, action=${rateLimitAction}, key=${rateLimitKey}`);
     }
     
-    // Helper function: Refill token bucket based on elapsed time
-    const refillTokens = () => {
-      const now = Date.now();
-      const elapsed = now - lastRefillTime;
-      const tokensToAdd = elapsed * tokensPerMs;
-      
-      // Add tokens, but cap at max capacity (rate limit + burst)
-      tokenBucket = Math.min(tokenBucket + tokensToAdd, rateLimit + rateLimitBurst);
-      lastRefillTime = now;
-      
-      if (isDebug && tokensToAdd > 0) {
-        node.log(`[NATS-SUITE PUBLISH] Token bucket refilled: +${tokensToAdd.toFixed(2)} tokens (total: ${tokenBucket.toFixed(2)}/${rateLimit + rateLimitBurst})`);
-      }
-    };
-    
-    // Helper function: Check if message can be sent (has tokens available)
-    const canSendMessage = () => {
-      refillTokens();
-      return tokenBucket >= 1;
-    };
-    
-    // Helper function: Consume one token
-    const consumeToken = () => {
-      if (tokenBucket >= 1) {
-        tokenBucket -= 1;
-        return true;
-      }
-      return false;
-    };
-    
-    // Helper function: Process delayed messages (for delay action)
+    // Helper function: Process delayed messages (for delay action), in order per rate limit key
     const processDelayQueue = async () => {
       if (delayProcessing || delayQueue.length === 0) return;
       
       delayProcessing = true;
       
-      while (delayQueue.length > 0 && canSendMessage()) {
-        const delayedMsg = delayQueue.shift();
-        consumeToken();
+      let index = 0;
+      while (index < delayQueue.length) {
+        const delayedMsg = delayQueue[index];
+        if (!rateLimiter.take(getRateLimitKey(delayedMsg))) {
+          index++;
+          continue;
+        }
+        delayQueue.splice(index, 1);
         
         // Process message by triggering input handler
         delayedMsg._rateLimited = true; // Mark as already rate-limited
@@ -492,11 +501,78 @@ module.exports = function (RED) {
       
       // Schedule next processing if queue still has messages
       if (delayQueue.length > 0) {
-        const waitTime = Math.ceil(1 / tokensPerMs); // Time until next token
+        const waitTime = Math.ceil(1 / rateLimiter.tokensPerMs); // Time until next token
         setTimeout(() => processDelayQueue(), waitTime);
       }
     };
 
+    // Report-by-exception (uns_value): Publish a value only if it changed since the last publish on its subject
+    const enableRbe = !!config.enableRbe && config.dataformat === 'uns_value';
+    const rbeDeadbandType = config.rbeDeadbandType || 'none'; // 'none' | 'absolute' | 'percent'
+    const rbeDeadband = Math.max(parseFloat(config.rbeDeadband) || 0, 0);
+    const rbeMaxSilence = Math.max(parseInt(config.rbeMaxSilence, 10) || 0, 0) * 1000; // 0 = no heartbeat
+    const RBE_CONTEXT_KEY = 'rbeLastSent';
+    let rbeLastSent = {}; // subject -> { value, sentAt, datapointId }
+    let rbeTimer = null;
+    let droppedByRbe = 0;
+
+    if (enableRbe) {
+      // Last sent values survive restarts, so the first value after a deploy isn't re-sent if unchanged
+      try {
+        rbeLastSent = node.context().get(RBE_CONTEXT_KEY) || {};
+      } catch (err) {
+        node.warn(`[NATS-SUITE PUBLISH] Failed to load report-by-exception state: ${err.message}`);
+      }
+    }
+
+    // Helper function: Numbers change if they leave the deadband around the last sent value, others on any difference
+    // (NaN and Infinity have no deadband, JSON would also turn them into null)
+    const hasValueChanged = (subject, value) => {
+      const last = rbeLastSent[subject];
+      if (!last) return true;
+      if (Number.isFinite(value) && Number.isFinite(last.value)) {
+        const diff = Math.abs(value - last.value);
+        let band = 0;
+        if (rbeDeadbandType === 'absolute') {
+          band = rbeDeadband;
+        } else if (rbeDeadbandType === 'percent') {
+          band = Math.abs(last.value) * rbeDeadband / 100;
+        }
+        return band > 0 ? diff >= band : diff !== 0;
+      }
+      if (typeof value === 'number' || typeof last.value === 'number') {
+        return !Object.is(value, last.value);
+      }
+      return JSON.stringify(value) !== JSON.stringify(last.value);
+    };
+
+    // Helper function: Remember a published value (persisted in node context)
+    const rememberSentValue = (subject, value, datapointId) => {
+      rbeLastSent[subject] = { value, sentAt: Date.now(), datapointId };
+      try {
+        node.context().set(RBE_CONTEXT_KEY, rbeLastSent);
+      } catch (err) {
+        if (isDebug) node.log(`[NATS-SUITE PUBLISH] Failed to save report-by-exception state: ${err.message}`);
+      }
+    };
+
+    // Max-silence heartbeat: Re-publish the last value of subjects that were quiet for too long
+    if (enableRbe && rbeMaxSilence > 0) {
+      rbeTimer = setInterval(() => {
+        if (!node.config || node.config.connectionStatus !== 'connected') return;
+        const now = Date.now();
+        Object.keys(rbeLastSent).forEach(subject => {
+          const last = rbeLastSent[subject];
+          if (now - last.sentAt < rbeMaxSilence) return;
+          last.sentAt = now; // Don't repeat while the heartbeat is in flight
+          if (isDebug) {
+            node.log(`[NATS-SUITE PUBLISH] Heartbeat: Re-publishing last value on ${subject}`);
+          }
+          node.receive({ payload: last.value, _resolvedSubject: last.datapointId, _rbeHeartbeat: true });
+        });
+      }, Math.min(rbeMaxSilence, 1000));
+    }
+
     setStatusRed();
     
     // Validate server configuration ID
@@ -597,8 +673,41 @@ module.exports = function (RED) {
 
     this.config.addStatusListener(statusListener);
     
+    // Error routing: Recently published subjects, so the server config can report
+    // permission violations (which arrive asynchronously) on this node
+    const recentSubjects = new Set();
+    const rememberSubject = (subject) => {
+      recentSubjects.delete(subject);
+      recentSubjects.add(subject);
+      if (recentSubjects.size > 50) {
+        recentSubjects.delete(recentSubjects.values().next().value);
+      }
+    };
+
     // Connection Pool: Register this node as connection user
-    this.config.registerConnectionUser(node.id);
+    this.config.registerConnectionUser(node.id, { subjects: () => Array.from(recentSubjects) });
+    
+    // Helper function: Show buffer fill level as status
+    const showBufferedStatus = () => {
+      // Update status based on size type (throttled for performance)
+      // Don't override batch status if batch is enabled
+      if (!enableBatch) {
+        if (bufferSizeType === 'count') {
+          node.status({ 
+            fill: 'yellow', 
+            shape: 'ring', 
+            text: `buffered (${messageQueue.length}/${bufferSize})` 
+          });
+        } else {
+          const newBufferSize = calculateBufferSize();
+          node.status({ 
+            fill: 'yellow', 
+            shape: 'ring', 
+            text: `buffered (${formatBytesToMB(newBufferSize)}/${formatBytesToMB(bufferSizeBytes)} MB)` 
+          });
+        }
+      }
+    };
     
     // Helper function: Add message to buffer
     const bufferMessage = (msg) => {
@@ -624,45 +733,44 @@ module.exports = function (RED) {
       }
       
       if (isFull) {
-        // Buffer is full
-        switch (bufferMode) {
-          case 'drop-oldest':
-            const droppedMsg = messageQueue.shift(); // Remove oldest
-            const droppedSize = droppedMsg._bufferSize || 0;
+        // Buffer is full: Drop the oldest (drop-oldest) or the incoming message, with priority drop
+        // messages of the lowest priority class are dropped first (msg.priority)
+        const dropIndex = bufferPriorityDrop
+          ? selectDropIndex(messageQueue, getPriority(msg), bufferMode)
+          : (bufferMode === 'drop-oldest' ? 0 : -1);
+        const bufferLevel = bufferSizeType === 'count'
+          ? `${messageQueue.length}/${bufferSize} messages`
+          : `${formatBytesToMB(currentValue)}/${formatBytesToMB(bufferSizeBytes)} MB`;
+        if (dropIndex === -1) {
+          // The mode keeps the queued messages (or the incoming message has the lowest priority)
+          if (bufferMode === 'drop-on-full') {
+            node.warn(`[NATS-SUITE PUBLISH] Buffer full (${bufferLevel}), message rejected`);
+          } else {
             droppedMessages++;
-            // Update cache
-            if (bufferSizeType === 'size') {
-              updateBufferSizeCache(0, droppedSize);
-            }
             if (isDebug) {
-              if (bufferSizeType === 'count') {
-                node.log(`[NATS-SUITE PUBLISH] Buffer full (${messageQueue.length}/${bufferSize} messages), dropped oldest message`);
-              } else {
-                node.log(`[NATS-SUITE PUBLISH] Buffer full (${formatBytesToMB(currentValue)}/${formatBytesToMB(bufferSizeBytes)} MB), dropped oldest message`);
-              }
+              node.log(`[NATS-SUITE PUBLISH] Buffer full (${bufferLevel}), dropped newest message`);
             }
-            break;
-          case 'drop-newest':
-            droppedMessages++;
-            if (isDebug) {
-              if (bufferSizeType === 'count') {
-                node.log(`[NATS-SUITE PUBLISH] Buffer full (${messageQueue.length}/${bufferSize} messages), dropped newest message`);
-              } else {
-                node.log(`[NATS-SUITE PUBLISH] Buffer full (${formatBytesToMB(currentValue)}/${formatBytesToMB(bufferSizeBytes)} MB), dropped newest message`);
-              }
-            }
-            return false; // Don't add new message
-          case 'drop-on-full':
-            if (bufferSizeType === 'count') {
-              node.warn(`[NATS-SUITE PUBLISH] Buffer full (${messageQueue.length}/${bufferSize} messages), message rejected`);
-            } else {
-              node.warn(`[NATS-SUITE PUBLISH] Buffer full (${formatBytesToMB(currentValue)}/${formatBytesToMB(bufferSizeBytes)} MB), message rejected`);
-            }
-            return false; // Don't add new message
+          }
+          return false; // Don't add new message
+        }
+        
+        const droppedMsg = messageQueue.splice(dropIndex, 1)[0];
+        const droppedSize = droppedMsg._bufferSize || 0;
+        droppedMessages++;
+        walRemove([droppedMsg]);
+        // Update cache
+        if (bufferSizeType === 'size') {
+          updateBufferSizeCache(0, droppedSize);
+        }
+        if (bufferMode === 'drop-on-full') {
+          node.warn(`[NATS-SUITE PUBLISH] Buffer full (${bufferLevel}), dropped a lower priority message (priority ${getPriority(droppedMsg)})`);
+        } else if (isDebug) {
+          node.log(`[NATS-SUITE PUBLISH] Buffer full (${bufferLevel}), dropped ${bufferMode === 'drop-oldest' ? 'oldest' : 'newest'} message${bufferPriorityDrop ? ` of priority ${getPriority(droppedMsg)}` : ''}`);
         }
       }
       
       messageQueue.push(msg);
+      walAppend(msg);
       
       // Update cache
       if (bufferSizeType === 'size') {
@@ -681,27 +789,22 @@ module.exports = function (RED) {
         });
       }
       
-      // Update status based on size type (throttled for performance)
-      // Don't override batch status if batch is enabled
-      if (!enableBatch) {
-        if (bufferSizeType === 'count') {
-          node.status({ 
-            fill: 'yellow', 
-            shape: 'ring', 
-            text: `buffered (${messageQueue.length}/${bufferSize})` 
-          });
-        } else {
-          const newBufferSize = calculateBufferSize();
-          node.status({ 
-            fill: 'yellow', 
-            shape: 'ring', 
-            text: `buffered (${formatBytesToMB(newBufferSize)}/${formatBytesToMB(bufferSizeBytes)} MB)` 
-          });
-        }
-      }
+      showBufferedStatus();
       return true;
     };
     
+    // Helper function: Flush the rest of a rate limited flush when the next token is available
+    let rateLimitedFlushTimer = null;
+    const scheduleRateLimitedFlush = () => {
+      if (rateLimitedFlushTimer) return;
+      rateLimitedFlushTimer = setTimeout(() => {
+        rateLimitedFlushTimer = null;
+        if (node.config.connectionStatus === 'connected' && messageQueue.length > 0) {
+          flushBuffer();
+        }
+      }, Math.ceil(1 / rateLimiter.tokensPerMs));
+    };
+    
     // Helper function: Flush buffer (send all queued messages)
     const flushBuffer = async () => {
       // Prevent concurrent flush operations
@@ -725,8 +828,8 @@ module.exports = function (RED) {
         node.log(`[NATS-SUITE PUBLISH] Flushing ${flushCount} buffered messages (${formatBytesToMB(flushSize)} MB)...`);
       }
       
-      // Copy and clear queue
-      const queueCopy = [...messageQueue];
+      // Copy and clear queue (higher priority first, FIFO within a priority)
+      let queueCopy = sortByPriority(messageQueue);
       messageQueue = [];
       invalidateBufferSizeCache(); // Reset cache since queue is cleared
       
@@ -740,6 +843,21 @@ module.exports = function (RED) {
         return;
       }
       
+      // Rate Limiting: Flushed messages take tokens of their key too, limited messages stay buffered
+      // (in order) and are flushed once tokens are available again
+      if (enableRateLimit) {
+        const limited = new Set(queueCopy.filter(queuedMsg => !rateLimiter.take(getRateLimitKey(queuedMsg))));
+        if (limited.size > 0) {
+          queueCopy = queueCopy.filter(queuedMsg => !limited.has(queuedMsg));
+          messageQueue = Array.from(limited);
+          invalidateBufferSizeCache();
+          scheduleRateLimitedFlush();
+          if (isDebug) {
+            node.log(`[NATS-SUITE PUBLISH] Rate limit reached during flush, ${limited.size} messages stay buffered`);
+          }
+        }
+      }
+      
       // Clean all messages before processing
       queueCopy.forEach(queuedMsg => {
         // Remove any stale flags that might interfere (especially from persisted messages)
@@ -751,9 +869,11 @@ module.exports = function (RED) {
         queuedMsg._flushing = true;
       });
       
-      // Send all messages in parallel for maximum performance
-      const flushPromises = queueCopy.map(queuedMsg => 
-        new Promise((resolve) => {
+      // Send all messages in parallel for maximum performance. Confirmed publish waits for the server,
+      // unconfirmed messages are buffered again (and stay in the buffer log).
+      const flushPromises = queueCopy.map(queuedMsg => publishConfirmer
+        ? runInput(queuedMsg).then(() => ({ success: true, msg: queuedMsg }))
+        : new Promise((resolve) => {
           try {
             // Use node.receive() to re-trigger input processing
             node.receive(queuedMsg);
@@ -767,10 +887,11 @@ module.exports = function (RED) {
       
       // Wait for all messages to be processed
       const results = await Promise.all(flushPromises);
+      const requeued = new Set(messageQueue);
       
       // Count successes and failures
-      const successCount = results.filter(r => r.success).length;
-      const failCount = results.filter(r => !r.success).length;
+      const successCount = results.filter(r => r.success && !requeued.has(r.msg)).length;
+      const failCount = results.length - successCount;
       
       if (droppedMessages > 0) {
         node.warn(`[NATS-SUITE PUBLISH] ${droppedMessages} messages were dropped due to buffer overflow`);
@@ -784,6 +905,11 @@ module.exports = function (RED) {
         node.log(`[NATS-SUITE PUBLISH] Buffer flushed: ${successCount} sent, ${failCount} failed, ${messageQueue.length} remaining (${formatBytesToMB(remainingSize)} MB)`);
       }
       
+      // Compaction: Flushed messages leave the buffer log, messages buffered again during the flush stay
+      if (messageQueue.length > 0) {
+        walCompact();
+      }
+      
       // Clear persisted buffer after successful flush (if all messages were sent)
       if (successCount > 0 && messageQueue.length === 0 && bufferPersistence !== 'none') {
         saveBuffer(true); // Save empty buffer to clear persistence
@@ -796,6 +922,141 @@ module.exports = function (RED) {
       isFlushing = false;
     };
     
+    // Buffer admin: Inspect, export, import, drop and flush the offline buffer
+    // (admin API of the editor panel and msg.command on the input)
+    const BUFFER_INTERNAL_PROPERTIES = ['_flushing', '_batched', '_rateLimited', '_autoReplyProcessed', '_bufferSize', '_walSeq'];
+    const BUFFER_IMPORT_STRIPPED_PROPERTIES = [...BUFFER_INTERNAL_PROPERTIES, '_resolvedSubject', '_rbeHeartbeat'];
+    const createBufferAdminError = (message, code) => Object.assign(new Error(message), { code });
+    const requireBuffer = () => {
+      if (!enableBuffer) {
+        throw createBufferAdminError('Message buffering is not enabled on this node', 'BUFFER_DISABLED');
+      }
+    };
+    const toBufferEntry = (queued) => {
+      const entry = { ...queued };
+      BUFFER_INTERNAL_PROPERTIES.forEach(name => delete entry[name]);
+      return entry;
+    };
+    const afterBufferChange = () => {
+      invalidateBufferSizeCache();
+      if (messageQueue.length === 0) {
+        saveBuffer(true);
+        if (node.config.connectionStatus === 'connected') setStatusGreen();
+      } else {
+        saveBuffer(false);
+        showBufferedStatus();
+      }
+    };
+    
+    // Buffered messages with ID, subject, age (ms), priority and size
+    node.listBuffer = () => {
+      const now = Date.now();
+      return {
+        enabled: enableBuffer,
+        connected: node.config.connectionStatus === 'connected',
+        count: messageQueue.length,
+        bytes: calculateBufferSize(),
+        limit: bufferSizeType === 'count' ? { messages: bufferSize } : { bytes: bufferSizeBytes },
+        mode: bufferMode,
+        dropped: droppedMessages,
+        messages: messageQueue.map(queued => ({
+          id: queued._msgID,
+          subject: queued._resolvedSubject || queued.topic || config.datapointid || '',
+          age: queued._originalTimestamp ? now - queued._originalTimestamp : null,
+          priority: getPriority(queued),
+          size: queued._bufferSize || calculateMessageSize(queued)
+        }))
+      };
+    };
+    
+    // Buffer as NDJSON, one message per line (in buffer order)
+    node.exportBuffer = () => messageQueue.map(queued => JSON.stringify(toBufferEntry(queued)) + '\n').join('');
+    
+    // Adds messages from NDJSON (or an array) to the buffer; IDs already buffered are skipped
+    node.importBuffer = (data) => {
+      requireBuffer();
+      const lines = Array.isArray(data) ? data : String(data || '').split('\n').filter(line => line.trim() !== '');
+      const bufferedIds = new Set(messageQueue.map(queued => queued._msgID));
+      const result = { imported: 0, skipped: 0, rejected: 0 };
+      lines.forEach(line => {
+        let imported;
+        try {
+          imported = typeof line === 'string' ? JSON.parse(line) : { ...line };
+        } catch (err) {
+          result.rejected++;
+          return;
+        }
+        if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+          result.rejected++;
+          return;
+        }
+        // The subject is resolved again (template and validation), an imported one is not trusted
+        BUFFER_IMPORT_STRIPPED_PROPERTIES.forEach(name => delete imported[name]);
+        if (imported._msgID && bufferedIds.has(imported._msgID)) {
+          result.skipped++;
+          return;
+        }
+        imported._msgID = imported._msgID || generateUUID();
+        imported._originalTimestamp = imported._originalTimestamp || Date.now();
+        if (bufferMessage(imported)) {
+          bufferedIds.add(imported._msgID);
+          result.imported++;
+        } else {
+          result.rejected++;
+        }
+      });
+      afterBufferChange();
+      return result;
+    };
+    
+    // Removes buffered messages by ID ("all" drops the whole buffer), returns the number dropped
+    node.dropBuffered = (ids) => {
+      requireBuffer();
+      const dropAll = ids === 'all';
+      const dropIds = new Set(Array.isArray(ids) ? ids : [ids]);
+      const dropped = messageQueue.filter(queued => dropAll || dropIds.has(queued._msgID));
+      if (dropped.length > 0) {
+        messageQueue = messageQueue.filter(queued => !dropped.includes(queued));
+        walRemove(dropped);
+        afterBufferChange();
+      }
+      return { dropped: dropped.length, remaining: messageQueue.length };
+    };
+    
+    // Sends the buffer now (only while connected)
+    node.flushBufferNow = async () => {
+      requireBuffer();
+      if (node.config.connectionStatus !== 'connected') {
+        throw createBufferAdminError(`Cannot flush - NATS server is not connected (${node.config.connectionStatus})`, 'NOT_CONNECTED');
+      }
+      const count = messageQueue.length;
+      await flushBuffer();
+      afterBufferChange();
+      return { flushed: count - messageQueue.length, remaining: messageQueue.length };
+    };
+    
+    // msg.command: Same actions from the flow, the result is sent as msg.payload
+    const BUFFER_COMMANDS = {
+      'buffer-list': () => node.listBuffer(),
+      'buffer-export': () => node.exportBuffer(),
+      'buffer-import': (msg) => node.importBuffer(msg.payload),
+      'buffer-drop': (msg) => node.dropBuffered(msg.payload),
+      'buffer-flush': () => node.flushBufferNow()
+    };
+    const handleBufferCommand = async (msg) => {
+      const command = BUFFER_COMMANDS[msg.command];
+      if (!command) {
+        node.error(createError(`Unknown command: ${msg.command}`, 'UNKNOWN_COMMAND'), msg);
+        return;
+      }
+      try {
+        msg.payload = await command(msg);
+        node.send(msg);
+      } catch (err) {
+        node.error(createError(err.message, err.code || 'BUFFER_COMMAND_ERROR', { command: msg.command }), msg);
+      }
+    };
+    
     // Helper function: Publish batch (send all queued batch messages)
     const publishBatch = async () => {
       if (batchQueue.length === 0) return;
@@ -942,9 +1203,115 @@ module.exports = function (RED) {
       node.receive(msg);
     };
 
+    // Subject template: Tokens resolve from msg ({{msg.payload.tag}}), flow ({{flow.site}}) and
+    // global ({{global.plant}}) context; bare tokens ({{site}}) try msg, then flow, then global
+    const subjectTemplate = isTemplate(config.datapointid);
+    const getMsgProperty = (msg, path) => {
+      try {
+        return RED.util.getMessageProperty(msg, path);
+      } catch (err) {
+        return undefined; // Parent property missing (e.g. msg.payload is not an object)
+      }
+    };
+    const lookupSubjectToken = (msg) => (scope, path) => {
+      if (scope === 'msg') return getMsgProperty(msg, path);
+      if (scope === 'flow') return node.context().flow.get(path);
+      if (scope === 'global') return node.context().global.get(path);
+      const msgValue = getMsgProperty(msg, path);
+      if (msgValue !== undefined) return msgValue;
+      const flowValue = node.context().flow.get(path);
+      return flowValue !== undefined ? flowValue : node.context().global.get(path);
+    };
+
+    // Rate limit key of a message (subject as resolved, or the configured msg property)
+    const getRateLimitKey = (msg) => {
+      if (rateLimitKey === 'subject') {
+        return msg._resolvedSubject || msg.topic || config.datapointid || '';
+      }
+      if (rateLimitKey === 'property' && rateLimitKeyProperty) {
+        const value = getMsgProperty(msg, rateLimitKeyProperty);
+        return value === undefined || value === null ? '' : String(value);
+      }
+      return '';
+    };
+
+    // Message signing: NKey of the server config or an own seed (credentials), created on first use
+    const signingMode = config.signing || 'none'; // 'none' | 'server' | 'seed'
+    const signedHeaderNames = parseList(config.signHeaders);
+    let signingKeyPair = null;
+    const getSigningKeyPair = () => {
+      if (!signingKeyPair) {
+        const seed = signingMode === 'server' ? node.config.nkeySeed : (node.credentials || {}).signingSeed;
+        if (!seed) {
+          throw Object.assign(new Error(signingMode === 'server'
+            ? 'Server configuration has no NKey seed for signing'
+            : 'No NKey seed configured for signing'), { code: 'SIGNING_ERROR' });
+        }
+        signingKeyPair = createKeyPair(seed);
+      }
+      return signingKeyPair;
+    };
+
+    // Claim-check: Payloads above the threshold go to an Object Store bucket (created with the claim TTL,
+    // an existing bucket is updated to it)
+    const enableClaimCheck = !!config.enableClaimCheck;
+    const claimBucket = config.claimCheckBucket || 'nats-suite-claims';
+    let claimStore = null;
+    let claimStoreConnection = null;
+    const getClaimStore = async (natsnc) => {
+      if (!claimStore || claimStoreConnection !== natsnc) {
+        claimStore = await natsnc.jetstream().views.os(claimBucket, getClaimBucketOptions(config.claimCheckTtl));
+        claimStoreConnection = natsnc;
+        try {
+          const previousTtl = await syncClaimBucketTtl(await natsnc.jetstreamManager(), claimBucket, config.claimCheckTtl);
+          if (previousTtl !== null) {
+            node.log(`[NATS-SUITE PUBLISH] Claim bucket ${claimBucket}: TTL changed from ${previousTtl} s to ${parseInt(config.claimCheckTtl, 10) || 0} s`);
+          }
+        } catch (ttlErr) {
+          node.warn(`[NATS-SUITE PUBLISH] Claim bucket ${claimBucket}: TTL could not be updated, old claims may not be removed (${ttlErr.message})`);
+        }
+      }
+      return claimStore;
+    };
+
+    // Graceful drain: number of input handlers still running (awaited on close)
+    let inFlightPublishes = 0;
+
+    // Confirmed publish: Publishes are confirmed in groups by a server round-trip (flush), after
+    // confirmLatency ms or confirmBatchSize publishes, whichever comes first
+    const confirmLatency = parseInt(config.confirmLatency, 10);
+    const publishConfirmer = config.publishConfirm === 'confirmed' ? createPublishConfirmer({
+      latency: Number.isFinite(confirmLatency) && confirmLatency >= 0 ? confirmLatency : 10,
+      batchSize: Math.max(1, parseInt(config.confirmBatchSize, 10) || 100)
+    }) : null;
+
+    // Unconfirmed publish: Back into the buffer (same Nats-Msg-Id on the retry), else an error
+    const handleUnconfirmed = (msg, err, subject) => {
+      if (!enableBuffer) {
+        node.error(createError(err.message, 'PUBLISH_NOT_CONFIRMED', { subject }), msg);
+        return;
+      }
+      delete msg._flushing;
+      delete msg._batched;
+      delete msg._rateLimited;
+      if (!msg._originalTimestamp) {
+        msg._originalTimestamp = Date.now();
+      }
+      if (isDebug) {
+        node.log(`[NATS-SUITE PUBLISH] Publish to ${subject} not confirmed (${err.message}), message buffered again`);
+      }
+      bufferMessage(msg);
+    };
+
     // on input send message
-    node.on('input', async function (msg) {
+    const handleInput = async function (msg) {
       try {
+        // Buffer commands (msg.command) are handled instead of publishing
+        if (typeof msg.command === 'string' && msg.command.startsWith('buffer-')) {
+          await handleBufferCommand(msg);
+          return;
+        }
+        
         // Auto-Reply Handler: Forward message to output and wait for reply
         if (enableAutoReply && !msg._autoReplyProcessed) {
           msg._autoReplyProcessed = true;
@@ -960,11 +1327,41 @@ module.exports = function (RED) {
           // with msg._autoReplyResponse = true
           return;
         }
+
+        // Subject template: Resolved once on arrival (buffered and batched messages keep their subject).
+        // Not needed if msg.topic overrides the subject (uns_value and event always use the configured one).
+        const templateUsed = subjectTemplate && config.dataformat !== 'reply' &&
+          (!msg.topic || config.dataformat === 'uns_value' || config.dataformat === 'event');
+        if (templateUsed && msg._resolvedSubject === undefined) {
+          let resolvedSubject;
+          try {
+            resolvedSubject = resolveSubjectTemplate(config.datapointid, lookupSubjectToken(msg));
+          } catch (templateErr) {
+            node.error(createError(templateErr.message, templateErr.code || 'SUBJECT_TEMPLATE_ERROR', {
+              template: config.datapointid,
+              token: templateErr.token || null
+            }), msg);
+            return;
+          }
+          const invalidReason = validatePublishSubject(resolvedSubject);
+          if (invalidReason) {
+            node.error(createError(`Invalid subject "${resolvedSubject}": ${invalidReason}`, 'INVALID_SUBJECT', {
+              template: config.datapointid,
+              subject: resolvedSubject
+            }), msg);
+            return;
+          }
+          msg._resolvedSubject = resolvedSubject;
+          if (isDebug) {
+            node.log(`[NATS-SUITE PUBLISH] Subject template resolved: ${resolvedSubject}`);
+          }
+        }
+        const datapointId = templateUsed ? msg._resolvedSubject : config.datapointid;
         
         // Check connection status BEFORE attempting to publish
         if (this.config.connectionStatus !== 'connected') {
-          // Skip buffering if message is being flushed or batched
-          if (msg._flushing || msg._batched) {
+          // Skip buffering if message is being flushed or batched (confirmed publish buffers them again)
+          if ((msg._flushing || msg._batched) && !(publishConfirmer && enableBuffer)) {
             node.warn(`[NATS-SUITE PUBLISH] Processing failed - connection lost`);
             return;
           }
@@ -975,6 +1372,10 @@ module.exports = function (RED) {
             if (!msg._originalTimestamp) {
               msg._originalTimestamp = Date.now();
             }
+            // Stable message ID (sent as Nats-Msg-Id), so replays of a flush can be deduplicated
+            if (!msg._msgID) {
+              msg._msgID = generateUUID();
+            }
             // Store original event timestamps if present
             if (config.dataformat === 'event') {
               if (msg.startTime && !msg._originalStartTime) {
@@ -1010,7 +1411,8 @@ module.exports = function (RED) {
         
         // Rate Limiting: Check if message is allowed (Token Bucket)
         if (enableRateLimit && !msg._rateLimited && !msg._batched && !msg._flushing) {
-          if (!canSendMessage()) {
+          const limitKey = getRateLimitKey(msg);
+          if (!rateLimiter.take(limitKey)) {
             // Rate limit exceeded
             droppedByRateLimit++;
             
@@ -1018,13 +1420,13 @@ module.exports = function (RED) {
               case 'drop':
                 // Silent drop
                 if (isDebug) {
-                  node.log(`[NATS-SUITE PUBLISH] Rate limit exceeded, message dropped (total: ${droppedByRateLimit})`);
+                  node.log(`[NATS-SUITE PUBLISH] Rate limit exceeded${limitKey ? ` for ${limitKey}` : ''}, message dropped (total: ${droppedByRateLimit})`);
                 }
                 return;
                 
               case 'drop-warn':
                 // Drop with warning
-                node.warn(`[NATS-SUITE PUBLISH] Rate limit exceeded (${rateLimit}/${rateLimitWindow}ms), message dropped (total: ${droppedByRateLimit})`);
+                node.warn(`[NATS-SUITE PUBLISH] Rate limit exceeded${limitKey ? ` for ${limitKey}` : ''} (${rateLimit}/${rateLimitWindow}ms), message dropped (total: ${droppedByRateLimit})`);
                 return;
                 
               case 'delay':
@@ -1044,9 +1446,6 @@ module.exports = function (RED) {
                 return;
             }
           }
-          
-          // Consume token and proceed
-          consumeToken();
         }
         
         // Batch Publishing: Add to batch queue if enabled
@@ -1060,14 +1459,64 @@ module.exports = function (RED) {
         let subject;
 
         // Get subject from config or msg.topic
-        subject = msg.topic || config.datapointid;
+        subject = msg.topic || datapointId;
         
         if (!subject) {
           node.error('No subject specified. Set subject in node config or provide msg.topic', msg);
           return;
         }
 
+        // Binary codecs (MessagePack, CBOR) encode msg.payload as-is and set Content-Type
+        const codec = getCodec(config.dataformat);
+        let protobufType = null; // Set by the protobuf format, sent as header
+        let cloudEvent = null; // Set by the cloudevents format (attributes, sent as envelope or ce-* headers)
+        const cloudEventsMode = config.ceMode || 'structured';
+
         switch (config.dataformat) {
+          case 'protobuf':
+            const schema = config.protobufSchema ? RED.nodes.getNode(config.protobufSchema) : null;
+            if (!schema) {
+              node.error(createError('Protobuf schema configuration not found', 'PROTOBUF_SCHEMA_ERROR'), msg);
+              return;
+            }
+            try {
+              const encoded = await schema.encode(msg.protobufType || config.protobufType, msg.payload);
+              message = encoded.data;
+              protobufType = encoded.typeName;
+            } catch (encodeErr) {
+              node.error(createError(encodeErr.message, encodeErr.code || 'PROTOBUF_ENCODE_ERROR', {
+                type: encodeErr.type,
+                field: encodeErr.field
+              }), msg);
+              return;
+            }
+
+            if (isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] Protobuf payload (${protobufType}): ${message.length} bytes`);
+              node.log(`[NATS-SUITE PUBLISH] Subject: ${subject}`);
+            }
+            break;
+
+
+          case 'msgpack':
+          case 'cbor':
+            try {
+              message = codec.encode(msg.payload);
+            } catch (encodeErr) {
+              node.error(createError(
+                `Failed to encode payload as ${config.dataformat}: ${encodeErr.message}`,
+                'ENCODE_ERROR',
+                { dataformat: config.dataformat }
+              ), msg);
+              return;
+            }
+
+            if (isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] ${config.dataformat} payload: ${message.length} bytes`);
+              node.log(`[NATS-SUITE PUBLISH] Subject: ${subject}`);
+            }
+            break;
+
           case 'json':
             // JSON: Automatically stringify objects
             if (typeof msg.payload === 'object') {
@@ -1178,7 +1627,7 @@ module.exports = function (RED) {
                 return;
             }
 
-            message.id = config.datapointid;
+            message.id = datapointId;
             message.name = config.name;
             // Use original timestamp if available (from buffered message), otherwise create new one
             message.timestamp = msg._originalTimestamp || Date.now();
@@ -1188,11 +1637,20 @@ module.exports = function (RED) {
             // Log final message (only if debug enabled)
             if (isDebug) {
               node.log(`[NATS-SUITE PUBLISH] Final message: ${message}`);
-              node.log(`[NATS-SUITE PUBLISH] Subject: uns.${config.datapointid}`);
+              node.log(`[NATS-SUITE PUBLISH] Subject: uns.${datapointId}`);
             }
 
             // Set Subject
-            subject = 'uns.' + config.datapointid;
+            subject = 'uns.' + datapointId;
+
+            // Report-by-exception: Skip unchanged values (heartbeats always go out)
+            if (enableRbe && !msg._rbeHeartbeat && !hasValueChanged(subject, msg.payload)) {
+              droppedByRbe++;
+              if (isDebug) {
+                node.log(`[NATS-SUITE PUBLISH] Unchanged value on ${subject} skipped (total: ${droppedByRbe})`);
+              }
+              return;
+            }
             break;
 
           case 'reply':
@@ -1260,7 +1718,7 @@ module.exports = function (RED) {
                 }
             }
             
-            message.unsElementId = config.datapointid;
+            message.unsElementId = datapointId;
             message.type = eventType;
             
             // Use original timestamps if available (from buffered message), otherwise generate new ones
@@ -1300,13 +1758,39 @@ module.exports = function (RED) {
             // Log final event message (only if debug enabled)
             if (isDebug) {
               node.log(`[NATS-SUITE PUBLISH] Final event message: ${message}`);
-              node.log(`[NATS-SUITE PUBLISH] Subject: event.${config.datapointid}`);
+              node.log(`[NATS-SUITE PUBLISH] Subject: event.${datapointId}`);
             }
 
             // Set Subject
-            subject = 'event.' + config.datapointid;
+            subject = 'event.' + datapointId;
             break;
           
+          case 'cloudevents':
+            // CloudEvents: Attributes from config, overridden by msg.event (e.g. from a subscribe node)
+            try {
+              const eventAttributes = (msg.event && typeof msg.event === 'object') ? msg.event : {};
+              cloudEvent = createCloudEvent({
+                id: generateUUID(),
+                source: config.ceSource || `/node-red/${node.id}`,
+                type: config.ceType,
+                time: new Date(msg._originalTimestamp || Date.now()).toISOString(),
+                datacontenttype: config.ceDataContentType,
+                ...eventAttributes
+              }, msg.payload);
+              message = cloudEventsMode === 'binary'
+                ? encodeData(cloudEvent, msg.payload)
+                : toStructured(cloudEvent, msg.payload);
+            } catch (cloudEventErr) {
+              node.error(createError(cloudEventErr.message, cloudEventErr.code || 'CLOUDEVENTS_ERROR'), msg);
+              return;
+            }
+
+            if (isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] CloudEvent (${cloudEventsMode}): ${cloudEvent.type} ${cloudEvent.id}`);
+              node.log(`[NATS-SUITE PUBLISH] Subject: ${subject}`);
+            }
+            break;
+
           // Legacy format (kept for backward compatibility)
           case 'specific_topic':
             if (typeof msg.payload === 'object') {
@@ -1320,7 +1804,7 @@ module.exports = function (RED) {
             break;
             
           default:
-            node.error(`Unknown data format: ${config.dataformat}. Use 'json', 'string', 'buffer', or 'reply'`, msg);
+            node.error(`Unknown data format: ${config.dataformat}. Use 'json', 'string', 'buffer', 'msgpack', 'cbor', 'protobuf', 'cloudevents' or 'reply'`, msg);
             return;
         }
 
@@ -1369,6 +1853,30 @@ module.exports = function (RED) {
           }
         }
         
+        // Binary codecs always announce their Content-Type (subscribe's auto mode decodes by it)
+        if (codec) {
+          publishOptions.headers = setContentType(publishOptions.headers || natsHeaders(), codec);
+        }
+        if (protobufType) {
+          publishOptions.headers = setProtobufHeaders(publishOptions.headers || natsHeaders(), protobufType);
+        }
+        if (cloudEvent) {
+          const cloudEventHeaders = publishOptions.headers || natsHeaders();
+          publishOptions.headers = cloudEventsMode === 'binary'
+            ? setBinaryHeaders(cloudEventHeaders, cloudEvent)
+            : setStructuredHeaders(cloudEventHeaders);
+        }
+        
+        // Confirmed publish: Every message gets an ID, so a re-sent unconfirmed message can be deduplicated
+        if (publishConfirmer && enableBuffer && !msg._msgID) {
+          msg._msgID = generateUUID();
+        }
+        
+        // Deduplication: Message ID of buffered messages (or msg._msgID) as Nats-Msg-Id, unless set in msg.headers
+        if (msg._msgID && !getHeader(publishOptions.headers, MSG_ID_HEADER)) {
+          publishOptions.headers = setHeader(publishOptions.headers || natsHeaders(), MSG_ID_HEADER, String(msg._msgID));
+        }
+        
         // Add message expiration (TTL) if configured - Note: This requires JetStream
         // For core NATS, message expiration is not supported directly
         // Keeping the code for potential JetStream integration
@@ -1393,14 +1901,52 @@ module.exports = function (RED) {
           encodedMessage = sc.encode(message);
         }
         
+        // Encryption: Wrap the encoded payload in an AES-256-GCM envelope (fails closed if the key is missing)
+        if (config.encryptionKey) {
+          const encryptionKey = RED.nodes.getNode(config.encryptionKey);
+          try {
+            if (!encryptionKey) {
+              throw Object.assign(new Error('Encryption key configuration not found'), { code: 'ENCRYPT_ERROR' });
+            }
+            const encrypted = encryptionKey.encrypt(encodedMessage);
+            encodedMessage = encrypted.data;
+            publishOptions.headers = setEncryptionHeaders(publishOptions.headers || natsHeaders(), encrypted.keyId);
+          } catch (encryptErr) {
+            node.error(createError(encryptErr.message, encryptErr.code || 'ENCRYPT_ERROR'), msg);
+            return;
+          }
+        }
+        
+        // Signing: Signs the payload as sent (after encryption) and the selected headers
+        if (signingMode !== 'none') {
+          try {
+            publishOptions.headers = signMessage(getSigningKeyPair(), publishOptions.headers || natsHeaders(),
+              encodedMessage, signedHeaderNames);
+          } catch (signErr) {
+            node.error(createError(signErr.message, signErr.code || 'SIGNING_ERROR'), msg);
+            return;
+          }
+        }
+        
+        // Claim-check: Store the payload as sent (encrypted, signature over it) and publish the reference instead
+        if (enableClaimCheck && encodedMessage.length > getClaimThreshold(config.claimCheckThreshold, natsnc.info && natsnc.info.max_payload)) {
+          try {
+            const reference = await storeClaim(await getClaimStore(natsnc), claimBucket, createClaimName(subject), encodedMessage);
+            publishOptions.headers = setClaimHeaders(publishOptions.headers || natsHeaders(), reference);
+            encodedMessage = sc.encode(JSON.stringify(reference));
+            if (isDebug) {
+              node.log(`[NATS-SUITE PUBLISH] Payload offloaded to ${claimBucket}/${reference.object} (${reference.size} bytes)`);
+            }
+          } catch (claimErr) {
+            node.error(createError(`Claim-check upload failed: ${claimErr.message}`, claimErr.code || 'CLAIM_CHECK_ERROR', { bucket: claimBucket }), msg);
+            return;
+          }
+        }
+        
         // Publish with options - NATS.js publish is synchronous
         try {
+          rememberSubject(subject);
           natsnc.publish(subject, encodedMessage, publishOptions);
-          
-          // Log successful publish (only in debug mode)
-          if (config.debug) {
-            node.log(`[NATS-SUITE PUBLISH] Successfully published to ${subject}`);
-          }
         } catch (publishErr) {
           const cleanError = {
             message: publishErr.message,
@@ -1408,6 +1954,29 @@ module.exports = function (RED) {
             name: publishErr.name,
           };
           node.error(cleanError, msg);
+          return;
+        }
+        
+        // Confirmed publish: Wait for the server round-trip before the message counts as sent
+        if (publishConfirmer) {
+          try {
+            await publishConfirmer.confirm(natsnc);
+          } catch (confirmErr) {
+            handleUnconfirmed(msg, confirmErr, subject);
+            return;
+          }
+        }
+        if (enableRbe) {
+          rememberSentValue(subject, msg.payload, datapointId);
+        }
+        
+        // Log successful publish (only in debug mode)
+        if (config.debug) {
+          node.log(`[NATS-SUITE PUBLISH] Successfully published to ${subject}`);
+        }
+        // Confirmed publish: Success message on the output (not with auto-reply, which uses the output for requests)
+        if (publishConfirmer && !enableAutoReply) {
+          node.send({ ...toBufferEntry(msg), confirmed: true, subject });
         }
       } catch (err) {
         const cleanError = {
@@ -1417,13 +1986,25 @@ module.exports = function (RED) {
         };
         node.error(cleanError, msg);
       }
+    };
+
+    // Runs the input handler for a message (also used by the confirmed buffer flush, which awaits it)
+    const runInput = async (msg) => {
+      inFlightPublishes++;
+      try {
+        await handleInput.call(node, msg);
+      } finally {
+        inFlightPublishes--;
+      }
+    };
+
+    node.on('input', function (msg) {
+      return runInput(msg);
     });
 
     // on node close
-    node.on('close', function () {
+    node.on('close', function (done) {
       this.config.removeStatusListener(statusListener);
-      // Connection Pool: Unregister this node as connection user
-      this.config.unregisterConnectionUser(node.id);
       
       // Clean up batch timer
       if (batchTimer) {
@@ -1431,6 +2012,18 @@ module.exports = function (RED) {
         batchTimer = null;
       }
       
+      // Clean up rate limited flush
+      if (rateLimitedFlushTimer) {
+        clearTimeout(rateLimitedFlushTimer);
+        rateLimitedFlushTimer = null;
+      }
+      
+      // Clean up report-by-exception heartbeat
+      if (rbeTimer) {
+        clearInterval(rbeTimer);
+        rbeTimer = null;
+      }
+      
       // Clean up auto-save timer
       if (autoSaveTimer) {
         clearInterval(autoSaveTimer);
@@ -1443,21 +2036,104 @@ module.exports = function (RED) {
       }
       pendingReplies.clear();
       
-      // Save buffer before closing
-      if (enableBuffer && bufferPersistence !== 'none' && messageQueue.length > 0) {
-        saveBuffer(true); // Force save on close
-        if (isDebug) {
-          node.log(`[NATS-SUITE PUBLISH] Saved ${messageQueue.length} messages before closing`);
+      // Graceful drain: publish pending batch and buffered messages while the connection is still up,
+      // then flush the connection so nothing stays in the client's outbound buffer
+      const drain = async () => {
+        if (node.config.connectionStatus !== 'connected') return;
+        if (enableBatch && batchQueue.length > 0) {
+          await publishBatch();
         }
-      }
+        if (enableBuffer && messageQueue.length > 0) {
+          await flushBuffer();
+        }
+        if (publishConfirmer) {
+          publishConfirmer.flushNow(); // Confirm the open group without waiting for the latency
+        }
+        const deadline = Date.now() + node.config.drainTimeout;
+        while (inFlightPublishes > 0 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        if (node.config.connection && !node.config.connection.isClosed()) {
+          await node.config.connection.flush();
+        }
+      };
       
-      if (isDebug) {
-        node.log(`[NATS-SUITE PUBLISH] Node closed, cleaned up timers and saved buffer`);
-      }
+      node.config.withDrainTimeout(drain(), 'publish buffer').then(() => {
+        // Save what could not be sent before closing
+        if (enableBuffer && bufferPersistence !== 'none' && messageQueue.length > 0) {
+          saveBuffer(true); // Force save on close
+          if (isDebug) {
+            node.log(`[NATS-SUITE PUBLISH] Saved ${messageQueue.length} messages before closing`);
+          }
+        }
+        if (bufferWal) {
+          try {
+            bufferWal.close();
+          } catch (err) {
+            node.warn(`[NATS-SUITE PUBLISH] Failed to close buffer log: ${err.message}`);
+          }
+        }
+        
+        // Connection Pool: Unregister this node as connection user
+        node.config.unregisterConnectionUser(node.id);
+        
+        if (isDebug) {
+          node.log(`[NATS-SUITE PUBLISH] Node closed, drained and saved buffer`);
+        }
+        done();
+      });
     });
     
     // Load buffer on startup
     loadBuffer();
   }
-  RED.nodes.registerType('nats-suite-publish', NatsPublishNode);
+  RED.nodes.registerType('nats-suite-publish', NatsPublishNode, {
+    credentials: {
+      signingSeed: { type: 'password' }
+    }
+  });
+
+  // Buffer admin API (editor panel): list, export, import, drop and flush a deployed node's offline buffer
+  const withPublishNode = (action) => async (req, res) => {
+    const publishNode = RED.nodes.getNode(req.params.id);
+    if (!publishNode || typeof publishNode.listBuffer !== 'function') {
+      res.status(404).json({ error: 'Publish node not deployed' });
+      return;
+    }
+    try {
+      await action(publishNode, req, res);
+    } catch (err) {
+      const status = err.code === 'BUFFER_DISABLED' ? 409 : err.code === 'NOT_CONNECTED' ? 503 : 500;
+      res.status(status).json({ error: err.message, code: err.code });
+    }
+  };
+  const readPermission = RED.auth.needsPermission('nats-suite-publish.read');
+  const writePermission = RED.auth.needsPermission('nats-suite-publish.write');
+
+  RED.httpAdmin.get('/nats-suite-publish/:id/buffer', readPermission, withPublishNode((publishNode, req, res) => {
+    res.json(publishNode.listBuffer());
+  }));
+
+  RED.httpAdmin.get('/nats-suite-publish/:id/buffer/export', readPermission, withPublishNode((publishNode, req, res) => {
+    res.set('Content-Type', 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="buffer-${req.params.id}.ndjson"`);
+    res.send(publishNode.exportBuffer());
+  }));
+
+  RED.httpAdmin.post('/nats-suite-publish/:id/buffer/import', writePermission, withPublishNode((publishNode, req, res) => {
+    res.json(publishNode.importBuffer((req.body || {}).data));
+  }));
+
+  RED.httpAdmin.post('/nats-suite-publish/:id/buffer/drop', writePermission, withPublishNode((publishNode, req, res) => {
+    const ids = (req.body || {}).ids;
+    if (ids !== 'all' && !Array.isArray(ids)) {
+      res.status(400).json({ error: 'ids must be an array of message IDs or "all"' });
+      return;
+    }
+    res.json(publishNode.dropBuffered(ids));
+  }));
+
+  RED.httpAdmin.post('/nats-suite-publish/:id/buffer/flush', writePermission, withPublishNode(async (publishNode, req, res) => {
+    res.json(await publishNode.flushBufferNow());
+  }));
 };
@@ -1,6 +1,7 @@
 'use strict';
 
-const { StringCodec } = require('nats');
+const { StringCodec, headers: natsHeaders } = require('nats');
+const { getCodec, getContentType, getFormatForContentType, setContentType } = require('./lib/payload-codecs');
 
 module.exports = function (RED) {
   function NatsReplyNode(config) {
@@ -20,14 +21,49 @@ module.exports = function (RED) {
 
     this.serverConfig.registerConnectionUser(node.id);
     const sc = StringCodec();
-    let subscription = null;
+    const replyCodec = getCodec(config.codec); // null = JSON/string replies
+    let isSubscribed = false; // Registered with the server config's subscription registry
 
     node.status({ fill: 'yellow', shape: 'ring', text: 'ready' });
 
+    // Create the request subscription on the given connection
+    const openSubscription = (nc, subject) => {
+      return nc.subscribe(subject, {
+        callback: (err, msg) => {
+          if (err) {
+            // Permission violations are reported by the server config with a consistent error code
+            if (!err.permissionContext) node.error(`Subscription error: ${err.message}`);
+            return;
+          }
+
+          // Binary requests (MessagePack, CBOR) are decoded by their Content-Type
+          const requestCodec = getCodec(getFormatForContentType(getContentType(msg.headers)));
+          let payload;
+          try {
+            payload = requestCodec ? requestCodec.decode(msg.data) : sc.decode(msg.data);
+          } catch (decodeErr) {
+            node.error(`Failed to decode request: ${decodeErr.message}`, { topic: msg.subject, _reply: msg.reply });
+            return;
+          }
+
+          // Prepare reply message
+          const replyMsg = {
+            payload: payload,
+            topic: msg.subject,
+            _reply: msg.reply,
+            _headers: msg.headers
+          };
+
+          // Send to output for processing
+          node.send(replyMsg);
+        }
+      });
+    };
+
     // Subscribe to subject for incoming requests
     const startSubscription = async () => {
       try {
-        const nc = await node.serverConfig.getConnection();
+        await node.serverConfig.getConnection();
         const subject = config.subject || '';
         
         if (!subject) {
@@ -35,25 +71,14 @@ module.exports = function (RED) {
           return;
         }
 
-        subscription = nc.subscribe(subject, {
-          callback: (err, msg) => {
-            if (err) {
-              node.error(`Subscription error: ${err.message}`);
-              return;
-            }
-
-            // Prepare reply message
-            const replyMsg = {
-              payload: sc.decode(msg.data),
-              topic: msg.subject,
-              _reply: msg.reply,
-              _headers: msg.headers
-            };
-
-            // Send to output for processing
-            node.send(replyMsg);
-          }
+        // Subscription Registry: the server config re-creates the subscription after a reconnect
+        await node.serverConfig.registerSubscription(node.id, {
+          nodeId: node.id,
+          create: (nc) => openSubscription(nc, subject),
+          onRestored: () => node.status({ fill: 'green', shape: 'dot', text: `listening: ${subject}` }),
+          onError: () => node.status({ fill: 'red', shape: 'ring', text: 'error' })
         });
+        isSubscribed = true;
 
         node.status({ fill: 'green', shape: 'dot', text: `listening: ${subject}` });
       } catch (err) {
@@ -70,22 +95,34 @@ module.exports = function (RED) {
         // If message has reply subject, send reply
         if (msg._reply || msg.reply) {
           const replySubject = msg._reply || msg.reply;
-          let replyData;
 
-          if (typeof msg.payload === 'object') {
-            replyData = JSON.stringify(msg.payload);
+          if (replyCodec) {
+            // Binary reply: msg.headers (plain object) plus the codec's Content-Type
+            const replyHeaders = natsHeaders();
+            if (msg.headers && typeof msg.headers === 'object') {
+              Object.keys(msg.headers).forEach(key => replyHeaders.append(key, String(msg.headers[key])));
+            }
+            nc.publish(replySubject, replyCodec.encode(msg.payload), {
+              headers: setContentType(replyHeaders, replyCodec)
+            });
           } else {
-            replyData = String(msg.payload);
-          }
+            let replyData;
+
+            if (typeof msg.payload === 'object') {
+              replyData = JSON.stringify(msg.payload);
+            } else {
+              replyData = String(msg.payload);
+            }
 
-          nc.publish(replySubject, sc.encode(replyData), {
-            headers: msg.headers
-          });
+            nc.publish(replySubject, sc.encode(replyData), {
+              headers: msg.headers
+            });
+          }
 
           node.status({ fill: 'green', shape: 'dot', text: 'replied' });
         } else {
           // Start subscription if not already started
-          if (!subscription) {
+          if (!isSubscribed) {
             await startSubscription();
           }
         }
@@ -100,11 +137,14 @@ module.exports = function (RED) {
       setTimeout(() => startSubscription(), 1000);
     }
 
-    node.on('close', function () {
-      if (subscription) {
-        subscription.unsubscribe();
+    node.on('close', async function (done) {
+      if (isSubscribed) {
+        isSubscribed = false;
+        // Drain: requests already received are still answered
+        await node.serverConfig.unregisterSubscription(node.id, { drain: true });
       }
-      node.serverConfig.removeConnectionUser(node.id);
+      node.serverConfig.unregisterConnectionUser(node.id);
+      done();
     });
   }
 
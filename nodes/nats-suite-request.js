@@ -1,6 +1,7 @@
 'use strict';
 
-const { StringCodec } = require('nats');
+const { StringCodec, headers: natsHeaders } = require('nats');
+const { getCodec, getContentType, getFormatForContentType, setContentType } = require('./lib/payload-codecs');
 
 // NATS Error Code Constants
 const NATS_ERROR_CODES = {
@@ -63,8 +64,11 @@ module.exports = function (RED) {
 
     this.config.addStatusListener(statusListener);
     
+    // Error routing: Last request subject, so permission violations are reported on this node
+    let lastSubject = null;
+
     // Connection Pool: Register this node as connection user
-    this.config.registerConnectionUser(node.id);
+    this.config.registerConnectionUser(node.id, { subjects: () => (lastSubject ? [lastSubject] : []) });
 
     // Create StringCodec once for performance
     const sc = StringCodec();
@@ -105,10 +109,12 @@ module.exports = function (RED) {
         // Set Subject
         subject = config.subject;
 
+        // Payload codec: JSON (default) or a binary codec announced via Content-Type
+        const codec = getCodec(config.codec);
         try {
-          message = sc.encode(JSON.stringify(msg.payload));
+          message = codec ? codec.encode(msg.payload) : sc.encode(JSON.stringify(msg.payload));
         } catch (e) {
-          const cleanError = { message: 'Failed to serialize payload to JSON', code: 'SERIALIZE_ERROR', originalError: e.message };
+          const cleanError = { message: `Failed to serialize payload to ${codec ? config.codec : 'JSON'}`, code: 'SERIALIZE_ERROR', originalError: e.message };
           node.currentErrorState = true;
           node.status({ fill: 'orange', shape: 'ring', text: 'serialize error' });
           node.error(cleanError, msg);
@@ -137,76 +143,84 @@ module.exports = function (RED) {
         
         const timeoutMs = Number(config.timeout) || 1000;
 
+        lastSubject = subject;
         natsnc
           .request(subject, message, {
             timeout: timeoutMs,
+            headers: codec ? setContentType(natsHeaders(), codec) : undefined,
           })
           .then(response => {
             if (config.debug) {
               node.log(`[NATS-REQUEST] Response received from subject: ${subject}`);
             }
             
-            // Decode the response data
-            const responseData = sc.decode(response.data);
-            if (config.debug) {
-              node.log(`[NATS-REQUEST] Raw response data: ${responseData}`);
-            }
-            
+            // Binary codecs: Decode by the response's Content-Type (MessagePack, CBOR)
+            const responseCodec = getCodec(getFormatForContentType(getContentType(response.headers)));
             let parsedPayload;
-            try {
-              // First try to parse the response data
-              parsedPayload = JSON.parse(responseData);
+            if (responseCodec) {
+              parsedPayload = responseCodec.decode(response.data);
+            } else {
+              // Decode the response data
+              const responseData = sc.decode(response.data);
               if (config.debug) {
-                node.log(`[NATS-REQUEST] Parsed response: ${JSON.stringify(parsedPayload)}`);
+                node.log(`[NATS-REQUEST] Raw response data: ${responseData}`);
               }
+            
+              try {
+                // First try to parse the response data
+                parsedPayload = JSON.parse(responseData);
+                if (config.debug) {
+                  node.log(`[NATS-REQUEST] Parsed response: ${JSON.stringify(parsedPayload)}`);
+                }
               
-              // Check if the parsed payload is a JSON string that needs further parsing
-              if (typeof parsedPayload === 'string') {
-                try {
-                  parsedPayload = JSON.parse(parsedPayload);
-                  if (config.debug) {
-                    node.log(`[NATS-REQUEST] Double-parsed response: ${JSON.stringify(parsedPayload)}`);
-                  }
-                } catch (e) {
-                  // If second parse fails, keep the string
-                  if (config.debug) {
-                    node.log(`[NATS-REQUEST] Second JSON parse failed, keeping string: ${e.message}`);
+                // Check if the parsed payload is a JSON string that needs further parsing
+                if (typeof parsedPayload === 'string') {
+                  try {
+                    parsedPayload = JSON.parse(parsedPayload);
+                    if (config.debug) {
+                      node.log(`[NATS-REQUEST] Double-parsed response: ${JSON.stringify(parsedPayload)}`);
+                    }
+                  } catch (e) {
+                    // If second parse fails, keep the string
+                    if (config.debug) {
+                      node.log(`[NATS-REQUEST] Second JSON parse failed, keeping string: ${e.message}`);
+                    }
                   }
                 }
-              }
               
-              // Filter out stream metadata if present
-              if (parsedPayload && typeof parsedPayload === 'object') {
-                // Remove common stream metadata fields
-                const streamMetadataFields = ['stream', 'domain', 'seq', 'time', 'subject'];
-                const filteredPayload = { ...parsedPayload };
+                // Filter out stream metadata if present
+                if (parsedPayload && typeof parsedPayload === 'object') {
+                  // Remove common stream metadata fields
+                  const streamMetadataFields = ['stream', 'domain', 'seq', 'time', 'subject'];
+                  const filteredPayload = { ...parsedPayload };
                 
-                let hasStreamMetadata = false;
-                streamMetadataFields.forEach(field => {
-                  if (filteredPayload.hasOwnProperty(field)) {
-                    delete filteredPayload[field];
-                    hasStreamMetadata = true;
+                  let hasStreamMetadata = false;
+                  streamMetadataFields.forEach(field => {
+                    if (filteredPayload.hasOwnProperty(field)) {
+                      delete filteredPayload[field];
+                      hasStreamMetadata = true;
+                    }
+                  });
+                
+                  // If we removed stream metadata and payload is now empty or only has metadata,
+                  // keep the original payload
+                  if (hasStreamMetadata && Object.keys(filteredPayload).length === 0) {
+                    parsedPayload = responseData; // Use raw string if only metadata was present
+                  } else if (hasStreamMetadata) {
+                    parsedPayload = filteredPayload; // Use filtered payload
                   }
-                });
                 
-                // If we removed stream metadata and payload is now empty or only has metadata,
-                // keep the original payload
-                if (hasStreamMetadata && Object.keys(filteredPayload).length === 0) {
-                  parsedPayload = responseData; // Use raw string if only metadata was present
-                } else if (hasStreamMetadata) {
-                  parsedPayload = filteredPayload; // Use filtered payload
+                  if (config.debug && hasStreamMetadata) {
+                    node.log(`[NATS-REQUEST] Filtered stream metadata from response`);
+                  }
                 }
-                
-                if (config.debug && hasStreamMetadata) {
-                  node.log(`[NATS-REQUEST] Filtered stream metadata from response`);
+              } catch (e) {
+                // If JSON parsing fails, use the raw string
+                if (config.debug) {
+                  node.log(`[NATS-REQUEST] JSON parsing failed, using raw string: ${e.message}`);
                 }
+                parsedPayload = responseData;
               }
-            } catch (e) {
-              // If JSON parsing fails, use the raw string
-              if (config.debug) {
-                node.log(`[NATS-REQUEST] JSON parsing failed, using raw string: ${e.message}`);
-              }
-              parsedPayload = responseData;
             }
             
             msg.topic = subject;
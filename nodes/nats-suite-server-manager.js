@@ -46,6 +46,12 @@ module.exports = function (RED) {
     this.connectRetries = config.connectRetries || '';
     this.enableLeafNodeMode = config.enableLeafNodeMode || false;
 
+    // WebSocket listener (for clients behind HTTP(S) proxies)
+    this.enableWebSocket = config.enableWebSocket || false;
+    this.wsPort = config.wsPort || 8080;
+    this.wsTlsCertFile = config.wsTlsCertFile || '';
+    this.wsTlsKeyFile = config.wsTlsKeyFile || '';
+
     let natsServerProcess = null;
     let serverPort = null;
     let natsServerVersion = null; // Declare natsServerVersion here
@@ -86,6 +92,17 @@ module.exports = function (RED) {
       });
     };
 
+    // Helper function to build the websocket block of the server config
+    const buildWebSocketConfig = () => {
+      const wsConfig = { port: parseInt(node.wsPort) || 8080 };
+      if (node.wsTlsCertFile && node.wsTlsKeyFile) {
+        wsConfig.tls = { cert_file: node.wsTlsCertFile, key_file: node.wsTlsKeyFile };
+      } else {
+        wsConfig.no_tls = true; // Plain ws:// (e.g. TLS terminated by a reverse proxy)
+      }
+      return wsConfig;
+    };
+
     // Start embedded NATS server (direct binary execution for reliability)
     const startEmbeddedServer = async () => {
       try {
@@ -151,6 +168,11 @@ module.exports = function (RED) {
               }
             };
 
+            // WebSocket listener can only be configured via config file
+            if (node.enableWebSocket) {
+              leafConfig.websocket = buildWebSocketConfig();
+            }
+
             // Write config to temp file
             configFile = path.join(os.tmpdir(), `nats-leaf-${Date.now()}.conf`);
             fs.writeFileSync(configFile, JSON.stringify(leafConfig, null, 2));
@@ -158,6 +180,13 @@ module.exports = function (RED) {
 
           } else {
             args.push('-p', requestedPort.toString());
+
+            // WebSocket listener can only be configured via config file
+            if (node.enableWebSocket) {
+              configFile = path.join(os.tmpdir(), `nats-ws-${Date.now()}.conf`);
+              fs.writeFileSync(configFile, JSON.stringify({ websocket: buildWebSocketConfig() }, null, 2));
+              args.push('-c', configFile);
+            }
           }
           
           // Host/Network options (only for non-leaf embedded mode or if explicitly set for leaf)
@@ -287,6 +316,12 @@ module.exports = function (RED) {
                 }
               };
               
+              // Add WebSocket URL if the listener is enabled
+              if (node.enableWebSocket) {
+                const wsScheme = node.wsTlsCertFile && node.wsTlsKeyFile ? 'wss' : 'ws';
+                startedPayload.websocketUrl = `${wsScheme}://localhost:${parseInt(node.wsPort) || 8080}`;
+              }
+
               // Add monitoring URL if HTTP port is configured
               if (node.httpPort) {
                 startedPayload.monitoringUrl = `http://localhost:${node.httpPort}`;
@@ -1,7 +1,255 @@
-const { connect, StringCodec, credsAuthenticator } = require('nats');
+const { connect, StringCodec, credsAuthenticator, tokenAuthenticator, usernamePasswordAuthenticator } = require('nats');
+const { connect: connectWebSocket } = require('nats.ws');
+const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 
+// WebSocket transport: nats.ws opens its sockets through the wsFactory option of each connection,
+// so TLS options (CA, client certificate) stay with the connection instead of a global WebSocket class
+const createWebSocketFactory = (tlsOptions) => (url) => ({
+  socket: new WebSocket(url, tlsOptions || {}),
+  encrypted: /^wss:\/\//i.test(url)
+});
+
+// Error codes raised on nodes for asynchronous broker errors (msg.code in Catch nodes)
+const NODE_ERROR_CODES = {
+  permission_error: 'NATS_PERMISSION_VIOLATION',
+  slow_consumer: 'NATS_SLOW_CONSUMER'
+};
+
+// Subject matching with NATS wildcards ("*" = one token, ">" = one or more trailing tokens)
+const subjectMatches = (pattern, subject) => {
+  if (!pattern || !subject) return false;
+  if (pattern === subject) return true;
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+  for (let i = 0; i < patternTokens.length; i++) {
+    if (patternTokens[i] === '>') return subjectTokens.length > i;
+    if (i >= subjectTokens.length) return false;
+    if (patternTokens[i] !== '*' && patternTokens[i] !== subjectTokens[i]) return false;
+  }
+  return patternTokens.length === subjectTokens.length;
+};
+
+// File-based secrets: Read a secret file (trailing newlines from mounted secrets are dropped)
+const readSecretFile = (filePath) => {
+  return fs.readFileSync(filePath, 'utf8').trim();
+};
+
+/**
+ * Builds the options for connect() from a nats-suite-server config and its credentials.
+ * Used by the config node and by the editor's "Test connection" endpoint, so both connect the same way.
+ * logger provides log/warn/error (the node itself, or a collector for the admin endpoint).
+ */
+const buildConnectionOptions = (n, credentials, logger) => {
+  const isDebug = !!n.debug;
+  const authMethod = n.authMethod || 'userpass';
+  const user = credentials.user || '';
+  const pass = credentials.pass || '';
+  const token = credentials.token || '';
+  const jwt = credentials.jwt || '';
+  const nkeySeed = credentials.nkeySeed || '';
+  const credsFile = n.credsFile || '';
+  const tokenFile = n.tokenFile || '';
+  const passFile = n.passFile || '';
+  const transport = n.transport || 'auto';
+  const enableTLS = !!n.enableTLS;
+  const tlsRejectUnauthorized = n.tlsRejectUnauthorized !== false; // Default true
+  const tlsCaFile = n.tlsCaFile || '';
+  const tlsCertFile = n.tlsCertFile || '';
+  const tlsKeyFile = n.tlsKeyFile || '';
+
+  const servers = (n.server || '').split(',').map(s => s.trim()).filter(s => s);
+  const useWebSocket = transport === 'websocket' ||
+    (transport === 'auto' && servers.length > 0 && servers.every(s => /^wss?:\/\//i.test(s)));
+
+  const ConnectionOptions = {
+    servers: servers,
+    maxReconnectAttempts: 0, // Disable NATS-native reconnection completely, use custom logic instead
+    reconnect: false, // Explicitly disable automatic reconnection
+    waitOnFirstConnect: false, // Don't wait/retry on first connect, fail fast
+    timeout: n.timeout || 10000, // 10 second timeout
+    pingInterval: n.pingInterval || 30000, // 30 second ping interval
+    maxPingOut: n.maxPingOut || 3, // Max ping outs before disconnect
+  };
+
+  if (n.failoverMode === 'priority') {
+    ConnectionOptions.noRandomize = true; // Try servers in configured order
+    ConnectionOptions.ignoreClusterUpdates = true; // Don't mix gossiped cluster members into the order
+  }
+
+  // File-based secrets: Report missing files at deploy time instead of on first connect
+  const checkCredentialFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+      logger.error(`[NATS] Credential file not found: ${filePath}`);
+    }
+  };
+
+  const credentialFiles = []; // Files to watch for rotation
+
+  // Authentication Configuration
+  try {
+    switch (authMethod) {
+      case 'userpass':
+        if (user && passFile) {
+          // Password from file, read again on every (re)connect
+          checkCredentialFile(passFile);
+          ConnectionOptions.authenticator = usernamePasswordAuthenticator(
+            user,
+            () => readSecretFile(passFile)
+          );
+          credentialFiles.push(passFile);
+          if (isDebug) logger.log(`[NATS] Using username/password authentication (password file: ${passFile})`);
+        } else if (user) {
+          ConnectionOptions.user = user;
+          ConnectionOptions.pass = pass || '';
+          if (isDebug) logger.log(`[NATS] Using username/password authentication`);
+        }
+        break;
+
+      case 'token':
+        if (tokenFile) {
+          // Token from file, read again on every (re)connect
+          checkCredentialFile(tokenFile);
+          ConnectionOptions.authenticator = tokenAuthenticator(
+            () => readSecretFile(tokenFile)
+          );
+          credentialFiles.push(tokenFile);
+          if (isDebug) logger.log(`[NATS] Using token authentication (token file: ${tokenFile})`);
+        } else if (token) {
+          ConnectionOptions.token = token;
+          if (isDebug) logger.log(`[NATS] Using token authentication`);
+        }
+        break;
+
+      case 'jwt':
+        if (jwt && nkeySeed) {
+          // JWT requires both JWT and NKey seed
+          ConnectionOptions.authenticator = credsAuthenticator(
+            new TextEncoder().encode(jwt),
+            new TextEncoder().encode(nkeySeed)
+          );
+          if (isDebug) logger.log(`[NATS] Using JWT authentication`);
+        } else if (jwt) {
+          logger.warn('[NATS] JWT authentication requires both JWT token and NKey seed. Missing NKey seed.');
+        }
+        break;
+
+      case 'nkey':
+        if (nkeySeed) {
+          // NKey authentication
+          ConnectionOptions.authenticator = credsAuthenticator(
+            new TextEncoder().encode(nkeySeed)
+          );
+          if (isDebug) logger.log(`[NATS] Using NKey authentication`);
+        }
+        break;
+
+      case 'credsfile':
+        if (credsFile) {
+          // .creds file (JWT + NKey seed), read again on every (re)connect
+          checkCredentialFile(credsFile);
+          ConnectionOptions.authenticator = credsAuthenticator(
+            () => fs.readFileSync(credsFile)
+          );
+          credentialFiles.push(credsFile);
+          if (isDebug) logger.log(`[NATS] Using credentials file authentication: ${credsFile}`);
+        } else {
+          logger.warn('[NATS] Credentials file authentication selected but no .creds file path configured.');
+        }
+        break;
+
+      case 'none':
+      default:
+        if (isDebug) logger.log(`[NATS] No authentication configured`);
+        break;
+    }
+  } catch (authErr) {
+    logger.error(`[NATS] Authentication configuration error: ${authErr.message}`);
+    if (isDebug) logger.log(`[NATS] Auth error stack: ${authErr.stack}`);
+  }
+
+  // TLS Configuration
+  if (enableTLS) {
+    ConnectionOptions.tls = {
+      rejectUnauthorized: tlsRejectUnauthorized
+    };
+
+    try {
+      // Load CA certificate if provided
+      if (tlsCaFile && fs.existsSync(tlsCaFile)) {
+        ConnectionOptions.tls.ca = fs.readFileSync(tlsCaFile);
+        if (isDebug) logger.log(`[NATS] Loaded CA certificate from: ${tlsCaFile}`);
+      }
+
+      // Load client certificate if provided (for mTLS)
+      if (tlsCertFile && fs.existsSync(tlsCertFile)) {
+        ConnectionOptions.tls.cert = fs.readFileSync(tlsCertFile);
+        if (isDebug) logger.log(`[NATS] Loaded client certificate from: ${tlsCertFile}`);
+      }
+
+      // Load client key if provided (for mTLS)
+      if (tlsKeyFile && fs.existsSync(tlsKeyFile)) {
+        ConnectionOptions.tls.key = fs.readFileSync(tlsKeyFile);
+        if (isDebug) logger.log(`[NATS] Loaded client key from: ${tlsKeyFile}`);
+      }
+
+      if (isDebug) {
+        logger.log(`[NATS] TLS enabled with:`);
+        logger.log(`  - Reject Unauthorized: ${tlsRejectUnauthorized}`);
+        logger.log(`  - CA Certificate: ${tlsCaFile ? 'loaded' : 'none'}`);
+        logger.log(`  - Client Certificate: ${tlsCertFile ? 'loaded' : 'none'}`);
+        logger.log(`  - Client Key: ${tlsKeyFile ? 'loaded' : 'none'}`);
+      }
+
+      // Security Warning: Check if production connection without TLS
+      if (!enableTLS && n.server &&
+          (n.server.includes('production') || n.server.includes('prod') ||
+           !n.server.includes('localhost') && !n.server.includes('127.0.0.1'))) {
+        logger.warn('⚠️ WARNING: Production connection without TLS encryption! Consider enabling TLS for security.');
+      }
+    } catch (tlsErr) {
+      logger.error(`[NATS] TLS configuration error: ${tlsErr.message}`);
+      if (isDebug) logger.log(`[NATS] TLS error stack: ${tlsErr.stack}`);
+    }
+  } else {
+    if (isDebug) logger.log(`[NATS] TLS is disabled for this connection`);
+    ConnectionOptions.tls = null;
+  }
+
+  // WebSocket transport: TLS options are handed to the socket instead (see configureWebSocket)
+  let webSocketTls = null;
+  if (useWebSocket) {
+    webSocketTls = ConnectionOptions.tls || {};
+    delete ConnectionOptions.tls;
+  }
+
+  return { options: ConnectionOptions, servers, useWebSocket, webSocketTls, credentialFiles };
+};
+
+/**
+ * WebSocket transport: Check the server URLs and set a socket factory with the TLS options on the
+ * connect() options. Each connection opens its own sockets, nothing is shared between config nodes.
+ */
+const configureWebSocket = (options, servers, tlsOptions, n, logger) => {
+  servers.forEach(server => {
+    let url;
+    try {
+      url = new URL(/^wss?:\/\//i.test(server) ? server : `${n.enableTLS ? 'wss' : 'ws'}://${server}`);
+    } catch (err) {
+      logger.error(`[NATS] Invalid WebSocket server URL: ${server}`);
+      return;
+    }
+    if (n.enableTLS && url.protocol === 'ws:') {
+      logger.warn(`[NATS] TLS is enabled but ${server} uses ws:// - use wss:// for encrypted WebSocket connections`);
+    }
+  });
+
+  options.wsFactory = createWebSocketFactory(tlsOptions);
+  if (n.debug) logger.log(`[NATS] Using WebSocket transport`);
+  return options;
+};
+
 module.exports = function (RED) {
   function NatsServerNode(n) {
     RED.nodes.createNode(this, n);
@@ -14,7 +262,27 @@ module.exports = function (RED) {
     this.token = this.credentials.token || '';
     this.jwt = this.credentials.jwt || '';
     this.nkeySeed = this.credentials.nkeySeed || '';
+
+    // File-based secrets (e.g. Docker/Kubernetes secrets), re-read on every connect
+    this.credsFile = n.credsFile || '';
+    this.tokenFile = n.tokenFile || '';
+    this.passFile = n.passFile || '';
+    this.watchCredentialFiles = n.watchCredentialFiles !== false; // Default true
+
+    // Graceful drain: Max time nodes and the connection get to finish in-flight work on redeploy/stop
+    this.drainTimeout = parseInt(n.drainTimeout) || 5000;
+
+    // Slow consumer: Pending (received but unprocessed) messages per subscription that trigger an event
+    this.slowConsumerThreshold = parseInt(n.slowConsumerThreshold) || 10000;
     
+    // Failover: 'random' spreads clients over all servers (NATS default),
+    // 'priority' prefers servers in list order and fails back to the first one when it is healthy again
+    this.failoverMode = n.failoverMode || 'random';
+    this.failbackInterval = parseInt(n.failbackInterval) || 30000;
+
+    // Transport: 'auto' picks WebSocket when all server URLs use ws:// or wss://
+    this.transport = n.transport || 'auto';
+
     // TLS Configuration
     this.enableTLS = !!n.enableTLS;
     this.tlsRejectUnauthorized = n.tlsRejectUnauthorized !== false; // Default true
@@ -27,6 +295,8 @@ module.exports = function (RED) {
     if (isDebug) {
       this.log(`[NATS] Configuration loaded:`);
       this.log(`  - Auth Method: ${this.authMethod}`);
+      this.log(`  - Transport: ${this.transport}`);
+      this.log(`  - Failover Mode: ${this.failoverMode}`);
       this.log(`  - TLS Enabled: ${this.enableTLS}`);
       if (this.enableTLS) {
         this.log(`  - TLS CA File: ${this.tlsCaFile || 'none'}`);
@@ -41,11 +311,17 @@ module.exports = function (RED) {
     this.connection = null;
     this.connectionStatus = 'disconnected';
     this.listeners = new Set();
+    this.eventListeners = new Set(); // Connection lifecycle events (nats-suite-connection-events)
     
     // Connection Pool: Track which nodes are using this connection
     this.connectionUsers = new Set(); // Set of node IDs using this connection
+    this.connectionUserSubjects = new Map(); // nodeId -> subjects (array or function) the node publishes to
     this.connectionRefCount = 0; // Reference counter
-    
+
+    // Subscription Registry: Subscriptions, watchers and services owned by nodes.
+    // Every reconnect creates a new connection object, so entries are re-created on it.
+    this.subscriptionRegistry = new Map(); // key -> { nodeId, create, close, onRestored, handle, connection }
+
     // Define helper functions early
     this.getUptime = () => {
       if (!this.connectionStats.connectionStartTime) {
@@ -68,9 +344,9 @@ module.exports = function (RED) {
       return `${seconds}s`;
     };
 
-    // Define emitStatusChange early
-    this.emitStatusChange = () => {
-      const statusInfo = {
+    // Status info handed to status listeners and connection events
+    this.getStatusInfo = () => {
+      return {
         status: this.connectionStatus,
         reconnectAttempts: this.connectionStats.reconnectAttempts,
         maxReconnectAttempts: this.connectionStats.maxReconnectAttempts,
@@ -79,14 +355,30 @@ module.exports = function (RED) {
         lastConnected: this.connectionStats.lastConnected,
         lastDisconnected: this.connectionStats.lastDisconnected,
         isReconnecting: isReconnecting,
-        nextReconnectAttempt: reconnectTimer ? 'scheduled' : 'none'
+        nextReconnectAttempt: reconnectTimer ? 'scheduled' : 'none',
+        activeServer: this.connectionStats.activeServer,
+        activeServerIndex: this.connectionStats.activeServerIndex,
+        isPrimaryServer: this.connectionStats.activeServerIndex === 0,
+        migrating: !!this.connectionStats.migratingFrom,
+        migratingFrom: this.connectionStats.migratingFrom
       };
+    };
+
+    // Define emitStatusChange early
+    this.emitStatusChange = () => {
+      const statusInfo = this.getStatusInfo();
       
       // OPC UA-style status display
       let statusText = '';
-      switch (this.connectionStatus) {
+      switch (this.connectionStats.migratingFrom ? 'migrating' : this.connectionStatus) {
+        case 'migrating':
+          statusText = `migrating from ${this.connectionStats.migratingFrom} (lame duck)`;
+          break;
         case 'connected':
-          statusText = 'connected';
+          // Priority failover: make running on a backup server visible
+          statusText = this.failoverMode === 'priority' && this.connectionStats.activeServerIndex > 0
+            ? `connected (failover: ${this.connectionStats.activeServer})`
+            : 'connected';
           break;
         case 'disconnected':
           if (isReconnecting) {
@@ -107,7 +399,8 @@ module.exports = function (RED) {
 
       // Update node status like OPC UA
       this.status({ 
-        fill: this.connectionStatus === 'connected' ? 'green' : 
+        fill: this.connectionStats.migratingFrom ? 'yellow' :
+              this.connectionStatus === 'connected' ? 'green' : 
               this.connectionStatus === 'connecting' ? 'yellow' : 'red',
         shape: this.connectionStatus === 'connected' ? 'dot' : 'ring',
         text: statusText
@@ -115,6 +408,84 @@ module.exports = function (RED) {
       
       this.listeners.forEach(listener => listener(statusInfo));
     };
+
+    // Connection events: Notify event listeners about a lifecycle transition
+    // (connect, disconnect, reconnect_attempt, lame_duck, slow_consumer, permission_error)
+    this.emitConnectionEvent = (event, details = {}) => {
+      if (isDebug) this.log(`[NATS] Connection event: ${event}`);
+      const connectionEvent = {
+        event: event,
+        timestamp: Date.now(),
+        server: this.connectionStats.activeServer,
+        details: details,
+        statusInfo: this.getStatusInfo(),
+        poolStats: this.getPoolStats()
+      };
+      this.eventListeners.forEach(listener => {
+        try {
+          listener(connectionEvent);
+        } catch (err) {
+          this.warn(`[NATS] Connection event listener failed: ${err.message}`);
+        }
+      });
+    };
+
+    this.addEventListener = listener => {
+      this.eventListeners.add(listener);
+    };
+
+    this.removeEventListener = listener => {
+      this.eventListeners.delete(listener);
+    };
+
+    // Error routing: Find the nodes using a subject - subscriptions from the registry,
+    // publishers from the subjects they passed to registerConnectionUser
+    this.findNodesForSubject = (subject, operation) => {
+      const nodeIds = new Set();
+      if (operation !== 'publish') {
+        this.subscriptionRegistry.forEach(entry => {
+          const handle = entry.handle;
+          if (handle && typeof handle.getSubject === 'function' && handle.getSubject() === subject) {
+            nodeIds.add(entry.nodeId);
+          }
+        });
+      }
+      if (operation !== 'subscription') {
+        this.connectionUserSubjects.forEach((subjects, nodeId) => {
+          let list = subjects;
+          try {
+            list = typeof subjects === 'function' ? subjects() : subjects;
+          } catch (err) {
+            list = [];
+          }
+          if ((list || []).some(pattern => subjectMatches(pattern, subject))) {
+            nodeIds.add(nodeId);
+          }
+        });
+      }
+      return Array.from(nodeIds);
+    };
+
+    // Error routing: Red status and a catchable error (msg.code) on the node that caused a broker error
+    this.reportNodeError = (nodeId, event, message, details) => {
+      const target = RED.nodes.getNode(nodeId);
+      if (!target) return false;
+
+      const code = NODE_ERROR_CODES[event];
+      const err = new Error(message);
+      err.code = code;
+      target.status({
+        fill: 'red',
+        shape: 'ring',
+        text: event === 'permission_error' ? 'permission denied' : 'slow consumer'
+      });
+      target.error(err, {
+        topic: details.subject || '',
+        payload: details,
+        code: code
+      });
+      return true;
+    };
     
     // Connection tracking
     this.connectionStats = {
@@ -124,122 +495,88 @@ module.exports = function (RED) {
       lastDisconnected: null,
       totalUptime: 0,
       totalDowntime: 0,
-      connectionStartTime: null
+      connectionStartTime: null,
+      activeServer: null, // Configured URL of the server currently connected to
+      activeServerIndex: -1, // Position in the server list (0 = primary)
+      migratingFrom: null, // Server in lame duck mode the connection is moving away from
+      lastMigration: null // { from, to, timestamp, success } of the last lame duck migration
     };
 
-    const servers = this.server.split(',');
+    // Build Connection Options (shared with the editor's "Test connection" endpoint)
+    const {
+      options: ConnectionOptions,
+      servers,
+      useWebSocket,
+      webSocketTls,
+      credentialFiles
+    } = buildConnectionOptions(n, this.credentials, this);
 
-    // Build Connection Options
-    const ConnectionOptions = {
-      servers: servers,
-      maxReconnectAttempts: 0, // Disable NATS-native reconnection completely, use custom logic instead
-      reconnect: false, // Explicitly disable automatic reconnection
-      waitOnFirstConnect: false, // Don't wait/retry on first connect, fail fast
-      timeout: n.timeout || 10000, // 10 second timeout
-      pingInterval: n.pingInterval || 30000, // 30 second ping interval
-      maxPingOut: n.maxPingOut || 3, // Max ping outs before disconnect
-    };
+    // WebSocket transport: TLS is negotiated by the WebSocket (wss://), not by the NATS protocol
+    if (useWebSocket) {
+      configureWebSocket(ConnectionOptions, servers, webSocketTls, n, this);
+    }
 
-    // Authentication Configuration
-    try {
-      switch (this.authMethod) {
-        case 'userpass':
-          if (this.user) {
-            ConnectionOptions.user = this.user;
-            ConnectionOptions.pass = this.pass || '';
-            if (isDebug) this.log(`[NATS] Using username/password authentication`);
-          }
-          break;
+    // Subscription Registry: Open a single entry on the given connection
+    const openRegistryEntry = async (key, entry, nc) => {
+      const isRestore = entry.connection !== null;
+      entry.handle = await entry.create(nc);
+      entry.connection = nc;
+      if (isDebug) this.log(`[NATS] Subscription "${key}" ${isRestore ? 'restored' : 'opened'} for node ${entry.nodeId}`);
+      return entry.handle;
+    };
 
-        case 'token':
-          if (this.token) {
-            ConnectionOptions.token = this.token;
-            if (isDebug) this.log(`[NATS] Using token authentication`);
-          }
-          break;
+    // Subscription Registry: Re-create all entries that are not bound to the given connection
+    const restoreSubscriptions = async (nc) => {
+      const pending = Array.from(this.subscriptionRegistry.entries())
+        .filter(([, entry]) => entry.connection !== nc);
 
-        case 'jwt':
-          if (this.jwt && this.nkeySeed) {
-            // JWT requires both JWT and NKey seed
-            ConnectionOptions.authenticator = credsAuthenticator(
-              new TextEncoder().encode(this.jwt),
-              new TextEncoder().encode(this.nkeySeed)
-            );
-            if (isDebug) this.log(`[NATS] Using JWT authentication`);
-          } else if (this.jwt) {
-            this.warn('[NATS] JWT authentication requires both JWT token and NKey seed. Missing NKey seed.');
-          }
-          break;
+      if (pending.length === 0) return;
+      if (isDebug) this.log(`[NATS] Restoring ${pending.length} registered subscription(s) on new connection`);
 
-        case 'nkey':
-          if (this.nkeySeed) {
-            // NKey authentication
-            ConnectionOptions.authenticator = credsAuthenticator(
-              new TextEncoder().encode(this.nkeySeed)
-            );
-            if (isDebug) this.log(`[NATS] Using NKey authentication`);
+      await Promise.all(pending.map(async ([key, entry]) => {
+        try {
+          const handle = await openRegistryEntry(key, entry, nc);
+          // Entry may have been unregistered while it was being re-created
+          if (this.subscriptionRegistry.get(key) !== entry) {
+            if (entry.close) await entry.close(handle);
+            return;
           }
-          break;
-
-        case 'none':
-        default:
-          if (isDebug) this.log(`[NATS] No authentication configured`);
-          break;
-      }
-    } catch (authErr) {
-      this.error(`[NATS] Authentication configuration error: ${authErr.message}`);
-      if (isDebug) this.log(`[NATS] Auth error stack: ${authErr.stack}`);
-    }
-
-    // TLS Configuration
-    if (this.enableTLS) {
-      ConnectionOptions.tls = {
-        rejectUnauthorized: this.tlsRejectUnauthorized
-      };
-
-      try {
-        // Load CA certificate if provided
-        if (this.tlsCaFile && fs.existsSync(this.tlsCaFile)) {
-          ConnectionOptions.tls.ca = fs.readFileSync(this.tlsCaFile);
-          if (isDebug) this.log(`[NATS] Loaded CA certificate from: ${this.tlsCaFile}`);
-        }
-
-        // Load client certificate if provided (for mTLS)
-        if (this.tlsCertFile && fs.existsSync(this.tlsCertFile)) {
-          ConnectionOptions.tls.cert = fs.readFileSync(this.tlsCertFile);
-          if (isDebug) this.log(`[NATS] Loaded client certificate from: ${this.tlsCertFile}`);
+          if (entry.onRestored) entry.onRestored(handle);
+        } catch (err) {
+          entry.handle = null;
+          this.warn(`[NATS] Failed to restore subscription "${key}" for node ${entry.nodeId}: ${err.message}`);
+          if (entry.onError) entry.onError(err);
         }
+      }));
+    };
 
-        // Load client key if provided (for mTLS)
-        if (this.tlsKeyFile && fs.existsSync(this.tlsKeyFile)) {
-          ConnectionOptions.tls.key = fs.readFileSync(this.tlsKeyFile);
-          if (isDebug) this.log(`[NATS] Loaded client key from: ${this.tlsKeyFile}`);
+    // Failover: Map the "host:port" reported by the client back to the configured server URL
+    const findServerIndex = (listen) => {
+      if (!listen) return -1;
+      return servers.findIndex(server => {
+        try {
+          const url = new URL(/^[a-z]+:\/\//i.test(server) ? server : `nats://${server}`);
+          const defaultPort = { 'ws:': '80', 'wss:': '443' }[url.protocol] || '4222';
+          return listen === url.host || listen === `${url.hostname}:${url.port || defaultPort}`;
+        } catch (err) {
+          return false;
         }
+      });
+    };
 
-        if (isDebug) {
-          this.log(`[NATS] TLS enabled with:`);
-          this.log(`  - Reject Unauthorized: ${this.tlsRejectUnauthorized}`);
-          this.log(`  - CA Certificate: ${this.tlsCaFile ? 'loaded' : 'none'}`);
-          this.log(`  - Client Certificate: ${this.tlsCertFile ? 'loaded' : 'none'}`);
-          this.log(`  - Client Key: ${this.tlsKeyFile ? 'loaded' : 'none'}`);
-        }
+    const updateActiveServer = (nc) => {
+      const listen = nc && typeof nc.getServer === 'function' ? nc.getServer() : '';
+      const index = findServerIndex(listen);
+      this.connectionStats.activeServerIndex = index;
+      this.connectionStats.activeServer = index >= 0 ? servers[index] : (listen || null);
+    };
 
-        // Security Warning: Check if production connection without TLS
-        if (!this.enableTLS && this.server && 
-            (this.server.includes('production') || this.server.includes('prod') || 
-             !this.server.includes('localhost') && !this.server.includes('127.0.0.1'))) {
-          this.warn('⚠️ WARNING: Production connection without TLS encryption! Consider enabling TLS for security.');
-        }
-      } catch (tlsErr) {
-        this.error(`[NATS] TLS configuration error: ${tlsErr.message}`);
-        if (isDebug) this.log(`[NATS] TLS error stack: ${tlsErr.stack}`);
-      }
-    } else {
-      if (isDebug) this.log(`[NATS] TLS is disabled for this connection`);
-      ConnectionOptions.tls = null;
-    }
+    const openConnection = (options) => {
+      return useWebSocket ? connectWebSocket(options) : connect(options);
+    };
 
-    const connectNats = async () => {
+    // serverList: optional subset of servers to try (used for fail-back and lame duck migration)
+    const connectNats = async (serverList) => {
       try {
         this.connectionStatus = 'connecting';
         this.connectionStats.reconnectAttempts++;
@@ -260,7 +597,7 @@ module.exports = function (RED) {
             authInfo = this.user ? `username/password (user: ***)` : 'no authentication';
             break;
           case 'token':
-            authInfo = this.token ? 'token authentication (***)' : 'no authentication';
+            authInfo = this.token || this.tokenFile ? 'token authentication (***)' : 'no authentication';
             break;
           case 'jwt':
             authInfo = this.jwt ? 'JWT authentication (***+***)' : 'no authentication';
@@ -268,6 +605,9 @@ module.exports = function (RED) {
           case 'nkey':
             authInfo = this.nkeySeed ? 'NKey authentication (***)' : 'no authentication';
             break;
+          case 'credsfile':
+            authInfo = this.credsFile ? `credentials file (${path.basename(this.credsFile)})` : 'no authentication';
+            break;
         }
         
         const tlsInfo = this.enableTLS ? 'with TLS/SSL' : 'without TLS';
@@ -276,18 +616,26 @@ module.exports = function (RED) {
           this.log(`[NATS] Connection attempt ${this.connectionStats.reconnectAttempts}:`);
           this.log(`  - Servers: ${servers.join(', ')}`);
           this.log(`  - Auth: ${authInfo}`);
+          this.log(`  - Transport: ${useWebSocket ? 'WebSocket' : 'TCP'}`);
           this.log(`  - Security: ${tlsInfo}`);
           this.log(`  - Timeout: ${n.timeout || 10000}ms`);
         }
         
 
         
-        this.connection = await connect(ConnectionOptions);
-        if (isDebug) this.log(`[NATS] Connection established successfully!`);
+        this.connection = await openConnection(
+          serverList ? { ...ConnectionOptions, servers: serverList } : ConnectionOptions
+        );
+        updateActiveServer(this.connection);
+        if (isDebug) this.log(`[NATS] Connection established successfully to ${this.connectionStats.activeServer}!`);
 
         // Monitor connection status
+        const nc = this.connection;
         (async () => {
-          for await (const s of this.connection.status()) {
+          for await (const s of nc.status()) {
+            // Ignore events from a connection that has been replaced (credential reload) or is draining
+            if (nc !== this.connection || isClosing) break;
+
             // Only log non-ping events to reduce noise
             if (s.type !== 'pingTimer' && isDebug) {
               this.log(`[NATS] Connection status event: ${s.type}`);
@@ -298,17 +646,48 @@ module.exports = function (RED) {
               this.connectionStatus = 'disconnected';
               this.connectionStats.lastDisconnected = Date.now();
               this.connectionStats.connectionStartTime = null;
+              const server = this.connectionStats.activeServer;
+              this.connectionStats.activeServer = null;
+              this.connectionStats.activeServerIndex = -1;
               this.emitStatusChange();
+              this.emitConnectionEvent('disconnect', { reason: 'disconnect', server: server });
               // Trigger custom reconnection logic
               if (!isReconnecting) {
                 setTimeout(() => startReconnection(), 0);
               }
             }
+            if (s.type === 'ldm') {
+              // Server is going away (e.g. rolling cluster upgrade) but still serves this connection
+              this.warn(`[NATS] Server ${this.connectionStats.activeServer} entered lame duck mode, migrating connection...`);
+              this.emitConnectionEvent('lame_duck', { server: this.connectionStats.activeServer });
+              setTimeout(() => migrateFromLameDuck(nc), 0);
+            }
+            // Permission violations don't end the connection
+            if (s.type === 'error' && s.permissionContext) {
+              const details = {
+                code: s.data,
+                operation: s.permissionContext.operation,
+                subject: s.permissionContext.subject,
+                queue: s.permissionContext.queue || null
+              };
+              details.nodeIds = this.findNodesForSubject(details.subject, details.operation);
+              const message = `Permissions Violation for ${details.operation} to "${details.subject}"`;
+              const reported = details.nodeIds.filter(id => this.reportNodeError(id, 'permission_error', message, details));
+              if (reported.length === 0) {
+                this.warn(`[NATS] ${message}`);
+              }
+              this.emitConnectionEvent('permission_error', details);
+              continue;
+            }
             if (s.type === 'error') {
-              if (isDebug) this.log(`[NATS] Connection error:`, s.error);
+              if (isDebug) this.log(`[NATS] Connection error:`, s.data);
               this.connectionStatus = 'disconnected';
               this.connectionStats.lastDisconnected = Date.now();
+              const server = this.connectionStats.activeServer;
+              this.connectionStats.activeServer = null;
+              this.connectionStats.activeServerIndex = -1;
               this.emitStatusChange();
+              this.emitConnectionEvent('disconnect', { reason: 'error', error: s.data, server: server });
               // Trigger custom reconnection logic
               if (!isReconnecting) {
                 setTimeout(() => startReconnection(), 0);
@@ -321,7 +700,16 @@ module.exports = function (RED) {
         this.connectionStats.lastConnected = Date.now();
         this.connectionStats.connectionStartTime = Date.now();
         this.connectionStats.reconnectAttempts = 0; // Reset counter on successful connection
+
+        // Re-create registered subscriptions before listeners see 'connected'
+        await restoreSubscriptions(this.connection);
         this.emitStatusChange();
+        this.emitConnectionEvent('connect', {
+          server: this.connectionStats.activeServer,
+          reconnected: hasConnectedBefore
+        });
+        hasConnectedBefore = true;
+        scheduleFailback();
         
         // Clear connection timeout warning
         if (connectionTimeout) {
@@ -348,8 +736,22 @@ module.exports = function (RED) {
     const self = this;
     let reconnectTimer = null;
     let isReconnecting = false;
+    let isClosing = false; // Set while draining on redeploy/stop
+    let hasConnectedBefore = false; // Distinguishes reconnects from the first connect in events
+    let pendingConnect = null; // Connect in flight, shared by getConnection() and the reconnect loop
+
+    // One connect at a time: a second caller waits for the pending attempt instead of opening another connection
+    const connectShared = () => {
+      if (!pendingConnect) {
+        pendingConnect = connectNats().finally(() => {
+          pendingConnect = null;
+        });
+      }
+      return pendingConnect;
+    };
     
     const startReconnection = () => {
+      if (isClosing) return;
       if (isReconnecting) {
         if (isDebug) self.log(`[NATS] Reconnection already in progress, skipping...`);
         return;
@@ -357,12 +759,15 @@ module.exports = function (RED) {
       
       isReconnecting = true;
       if (isDebug) self.log(`[NATS] Starting reconnection attempt ${self.connectionStats.reconnectAttempts + 1}`);
+      if (hasConnectedBefore || self.connectionStats.reconnectAttempts > 0) {
+        self.emitConnectionEvent('reconnect_attempt', { attempt: self.connectionStats.reconnectAttempts + 1 });
+      }
       
       // Update status to show reconnecting
       self.connectionStatus = 'connecting';
       self.emitStatusChange();
       
-      connectNats().then(() => {
+      connectShared().then(() => {
         // Connection successful
         isReconnecting = false;
         if (reconnectTimer) {
@@ -404,6 +809,136 @@ module.exports = function (RED) {
       });
     };
     
+    // Open a new connection (reloaded credentials, fail-back, lame duck migration), then retire the old one.
+    // Subscriptions are moved over by restoreSubscriptions() inside connectNats().
+    const switchConnection = async (reason, serverList) => {
+      const previous = this.connection;
+      isReconnecting = true;
+      try {
+        await connectNats(serverList);
+        isReconnecting = false;
+        if (previous && previous !== this.connection && !previous.isClosed()) {
+          await previous.drain().catch(() => previous.close());
+        }
+        return true;
+      } catch (err) {
+        isReconnecting = false;
+        this.error(`[NATS] ${reason} failed, keeping current connection: ${err.message}`);
+        // connectNats() only replaces this.connection on success
+        if (previous && !previous.isClosed()) {
+          updateActiveServer(previous);
+          this.connectionStatus = 'connected';
+          this.emitStatusChange();
+          scheduleFailback();
+        } else {
+          startReconnection();
+        }
+        return false;
+      }
+    };
+
+    // Failover: While connected to a lower priority server, probe the preferred ones periodically
+    // and move back as soon as one of them accepts connections again
+    let failbackTimer = null;
+    const scheduleFailback = () => {
+      if (failbackTimer) {
+        clearTimeout(failbackTimer);
+        failbackTimer = null;
+      }
+      if (this.failoverMode !== 'priority' || this.connectionStats.activeServerIndex <= 0) return;
+
+      failbackTimer = setTimeout(async () => {
+        failbackTimer = null;
+        if (isReconnecting || this.connectionStatus !== 'connected') return;
+
+        const preferred = servers.slice(0, this.connectionStats.activeServerIndex);
+        try {
+          const probe = await openConnection({ ...ConnectionOptions, servers: preferred });
+          await probe.close();
+        } catch (err) {
+          if (isDebug) this.log(`[NATS] Fail-back probe failed (${preferred.join(', ')}): ${err.message}`);
+          scheduleFailback();
+          return;
+        }
+
+        const from = this.connectionStats.activeServer;
+        this.log(`[NATS] Preferred server available again, failing back from ${from}...`);
+        if (await switchConnection('Fail-back', preferred)) {
+          this.log(`[NATS] Failed back to ${this.connectionStats.activeServer}`);
+        }
+      }, this.failbackInterval);
+    };
+
+    // Lame duck mode: Open a connection to another cluster member while the old server still
+    // serves us, move the subscriptions over and drain the old connection afterwards
+    const migrateFromLameDuck = async (nc) => {
+      if (nc !== this.connection || isReconnecting || isClosing) return;
+
+      const from = this.connectionStats.activeServer;
+      const lameDuckIndex = this.connectionStats.activeServerIndex;
+      const candidates = servers.filter((server, index) => index !== lameDuckIndex);
+
+      // Cluster members announced by the server (not available for WebSocket connections)
+      if (!useWebSocket && nc.info && Array.isArray(nc.info.connect_urls)) {
+        nc.info.connect_urls
+          .filter(url => url !== nc.getServer() && findServerIndex(url) === -1)
+          .forEach(url => candidates.push(`nats://${url}`));
+      }
+
+      this.connectionStats.migratingFrom = from;
+      this.emitStatusChange();
+
+      // Without alternatives the full list is used (e.g. cluster behind a load balancer)
+      const success = await switchConnection('Lame duck migration', candidates.length > 0 ? candidates : undefined);
+
+      this.connectionStats.migratingFrom = null;
+      this.connectionStats.lastMigration = {
+        from: from,
+        to: success ? this.connectionStats.activeServer : null,
+        timestamp: Date.now(),
+        success: success
+      };
+      if (success) {
+        this.log(`[NATS] Migrated connection from ${from} to ${this.connectionStats.activeServer}`);
+      }
+      this.emitStatusChange();
+    };
+
+    // File-based secrets: Reconnect with the reloaded credentials
+    let reauthTimer = null;
+    const reauthenticate = async (changedFile) => {
+      if (isReconnecting || this.connectionStatus !== 'connected') {
+        // Pending (re)connect reads the files anyway
+        if (isDebug) this.log(`[NATS] Credential file changed (${changedFile}), picked up by next connect`);
+        return;
+      }
+
+      this.log(`[NATS] Credential file changed (${changedFile}), re-authenticating...`);
+      if (await switchConnection('Re-authentication')) {
+        this.log(`[NATS] Re-authenticated with updated credentials`);
+      }
+    };
+
+    const onCredentialFileChange = (filePath) => (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      // Debounce: secret mounts are usually updated in several steps
+      if (reauthTimer) clearTimeout(reauthTimer);
+      reauthTimer = setTimeout(() => {
+        reauthTimer = null;
+        reauthenticate(filePath);
+      }, 1000);
+    };
+
+    const watchedFiles = [];
+    if (this.watchCredentialFiles) {
+      credentialFiles.forEach(filePath => {
+        const listener = onCredentialFileChange(filePath);
+        fs.watchFile(filePath, { interval: 2000 }, listener);
+        watchedFiles.push({ filePath, listener });
+        if (isDebug) this.log(`[NATS] Watching credential file for changes: ${filePath}`);
+      });
+    }
+
     // Set initial status
     this.emitStatusChange();
     
@@ -411,14 +946,17 @@ module.exports = function (RED) {
     startReconnection();
 
     this.getConnection = async () => {
-      if (!this.connection) {
-        await connectNats();
+      // A (re)connect in flight is awaited, so subscriptions are restored onto a single new connection
+      if (pendingConnect || !this.connection) {
+        await connectShared();
       }
       return this.connection;
     };
     
     // Connection Pool: Register a node as user of this connection
-    this.registerConnectionUser = (nodeId) => {
+    // options.subjects: Array or function returning the subjects the node uses, so broker errors
+    // (permission violations) can be reported on the node that caused them
+    this.registerConnectionUser = (nodeId, options = {}) => {
       if (!nodeId) {
         if (isDebug) this.log(`[NATS] Warning: registerConnectionUser called without nodeId`);
         return;
@@ -427,6 +965,9 @@ module.exports = function (RED) {
       const wasNew = !this.connectionUsers.has(nodeId);
       this.connectionUsers.add(nodeId);
       this.connectionRefCount = this.connectionUsers.size;
+      if (options.subjects) {
+        this.connectionUserSubjects.set(nodeId, options.subjects);
+      }
       
       if (wasNew && isDebug) {
         this.log(`[NATS] Node ${nodeId} registered as connection user (total: ${this.connectionRefCount})`);
@@ -442,6 +983,7 @@ module.exports = function (RED) {
       
       const hadUser = this.connectionUsers.has(nodeId);
       this.connectionUsers.delete(nodeId);
+      this.connectionUserSubjects.delete(nodeId);
       this.connectionRefCount = this.connectionUsers.size;
       
       if (hadUser && isDebug) {
@@ -474,13 +1016,118 @@ module.exports = function (RED) {
       }
     };
     
+    // Subscription Registry: Register a subscription, watcher or service owned by a node.
+    // The config node calls create(nc) now (if connected) and again on every new connection,
+    // then hands the new handle to onRestored(handle). close(handle) defaults to unsubscribe().
+    this.registerSubscription = async (key, options) => {
+      if (!key || !options || typeof options.create !== 'function') {
+        throw new Error('registerSubscription requires a key and a create(connection) function');
+      }
+
+      // Replace an existing entry with the same key (e.g. subject change)
+      if (this.subscriptionRegistry.has(key)) {
+        await this.unregisterSubscription(key);
+      }
+
+      const entry = {
+        nodeId: options.nodeId || key,
+        create: options.create,
+        close: options.close || (handle => handle.unsubscribe()),
+        onRestored: options.onRestored || null,
+        onError: options.onError || null,
+        handle: null,
+        connection: null
+      };
+      this.subscriptionRegistry.set(key, entry);
+
+      if (this.connectionStatus !== 'connected' || !this.connection || this.connection.isClosed()) {
+        if (isDebug) this.log(`[NATS] Subscription "${key}" registered, will open when connected`);
+        return null;
+      }
+
+      try {
+        return await openRegistryEntry(key, entry, this.connection);
+      } catch (err) {
+        this.subscriptionRegistry.delete(key);
+        throw err;
+      }
+    };
+
+    // Slow consumer: Check registered subscriptions for a growing backlog (reported once per episode)
+    const slowSubscriptions = new Set();
+    const checkSlowConsumers = () => {
+      this.subscriptionRegistry.forEach((entry, key) => {
+        const handle = entry.handle;
+        if (!handle || typeof handle.getPending !== 'function') return;
+
+        const pending = handle.getPending();
+        if (pending < this.slowConsumerThreshold) {
+          slowSubscriptions.delete(key);
+          return;
+        }
+        if (slowSubscriptions.has(key)) return;
+
+        slowSubscriptions.add(key);
+        const subject = typeof handle.getSubject === 'function' ? handle.getSubject() : null;
+        const message = `Slow consumer: ${pending} pending messages on "${subject || key}"`;
+        if (!this.reportNodeError(entry.nodeId, 'slow_consumer', message, { subject: subject, pending: pending })) {
+          this.warn(`[NATS] ${message} (node ${entry.nodeId})`);
+        }
+        this.emitConnectionEvent('slow_consumer', { key: key, nodeId: entry.nodeId, subject: subject, pending: pending });
+      });
+    };
+    const slowConsumerTimer = setInterval(checkSlowConsumers, 5000);
+
+    // Graceful drain: Wait for close work, but never longer than the drain timeout
+    const pendingDrains = new Set();
+    this.withDrainTimeout = (work, label) => {
+      let timer = null;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+          this.warn(`[NATS] Drain timeout (${this.drainTimeout}ms) reached${label ? ` for ${label}` : ''}, closing anyway`);
+          resolve();
+        }, this.drainTimeout);
+      });
+      const drained = Promise.resolve(work).catch(err => {
+        if (isDebug) this.log(`[NATS] Drain error${label ? ` (${label})` : ''}: ${err.message}`);
+      });
+      const result = Promise.race([drained, timeout]).then(() => clearTimeout(timer));
+      pendingDrains.add(result);
+      result.then(() => pendingDrains.delete(result));
+      return result;
+    };
+
+    // Subscription Registry: Remove an entry and close its handle on the live connection.
+    // With { drain: true } (node close) messages already received are still delivered first.
+    this.unregisterSubscription = async (key, options = {}) => {
+      const entry = this.subscriptionRegistry.get(key);
+      if (!entry) return;
+
+      this.subscriptionRegistry.delete(key);
+
+      // Handles bound to a dead connection are already gone
+      if (entry.handle && entry.connection && !entry.connection.isClosed()) {
+        try {
+          if (options.drain && typeof entry.handle.drain === 'function') {
+            await this.withDrainTimeout(entry.handle.drain(), `subscription "${key}"`);
+          } else {
+            await entry.close(entry.handle);
+          }
+        } catch (err) {
+          if (isDebug) this.log(`[NATS] Error closing subscription "${key}": ${err.message}`);
+        }
+      }
+      if (isDebug) this.log(`[NATS] Subscription "${key}" unregistered`);
+    };
+
     // Connection Pool: Get statistics
     this.getPoolStats = () => {
       return {
         activeUsers: this.connectionRefCount,
         userNodeIds: Array.from(this.connectionUsers),
         connectionActive: !!this.connection,
-        connectionStatus: this.connectionStatus
+        connectionStatus: this.connectionStatus,
+        subscriptions: this.subscriptionRegistry.size
       };
     };
 
@@ -492,7 +1139,12 @@ module.exports = function (RED) {
         reconnectAttempts: this.connectionStats.reconnectAttempts,
         maxReconnectAttempts: this.connectionStats.maxReconnectAttempts,
         uptime: this.getUptime(),
-        uptimeFormatted: this.formatUptime(this.getUptime())
+        uptimeFormatted: this.formatUptime(this.getUptime()),
+        activeServer: this.connectionStats.activeServer,
+        activeServerIndex: this.connectionStats.activeServerIndex,
+        isPrimaryServer: this.connectionStats.activeServerIndex === 0,
+        migrating: !!this.connectionStats.migratingFrom,
+        migratingFrom: this.connectionStats.migratingFrom
       });
     };
 
@@ -504,12 +1156,15 @@ module.exports = function (RED) {
       return {
         ...this.connectionStats,
         uptime: this.getUptime(),
-        uptimeFormatted: this.formatUptime(this.getUptime())
+        uptimeFormatted: this.formatUptime(this.getUptime()),
+        isPrimaryServer: this.connectionStats.activeServerIndex === 0,
+        failoverMode: this.failoverMode
       };
     };
 
-    this.on('close', () => {
+    this.on('close', (done) => {
       if (isDebug) this.log(`[NATS] Node closing, cleaning up connections...`);
+      isClosing = true;
       
       // Stop reconnection attempts
       if (reconnectTimer) {
@@ -517,15 +1172,47 @@ module.exports = function (RED) {
         reconnectTimer = null;
       }
       isReconnecting = false;
-      
-      // Close NATS connection
-      if (this.connection) {
-        this.connection.close();
-        this.connection = null;
+
+      // Stop slow consumer checks
+      clearInterval(slowConsumerTimer);
+
+      // Stop fail-back probing
+      if (failbackTimer) {
+        clearTimeout(failbackTimer);
+        failbackTimer = null;
       }
-      
-      // Clear status
-      this.status({});
+
+      // Stop watching credential files
+      if (reauthTimer) {
+        clearTimeout(reauthTimer);
+        reauthTimer = null;
+      }
+      watchedFiles.forEach(({ filePath, listener }) => fs.unwatchFile(filePath, listener));
+
+      this.connectionUserSubjects.clear();
+
+      // Drain NATS connection: Let nodes closing in the same redeploy start their drains first
+      // (flush publish buffers, await JetStream acks). The config node closes before the nodes
+      // using it, so their entries stay registered until then; drain whatever is left, then
+      // drain the connection itself
+      const nc = this.connection;
+      setImmediate(async () => {
+        const remaining = Array.from(this.subscriptionRegistry.keys())
+          .map(key => this.unregisterSubscription(key, { drain: true }));
+        await this.withDrainTimeout(Promise.all([...remaining, ...pendingDrains]), 'nodes');
+        this.subscriptionRegistry.clear();
+        if (nc && !nc.isClosed()) {
+          if (isDebug) this.log(`[NATS] Draining connection...`);
+          await this.withDrainTimeout(nc.drain(), 'connection');
+          if (!nc.isClosed()) nc.close();
+        }
+        this.connection = null;
+        this.connectionStatus = 'disconnected';
+
+        // Clear status
+        this.status({});
+        done();
+      });
     });
   }
   RED.nodes.registerType('nats-suite-server', NatsServerNode, {
@@ -537,4 +1224,209 @@ module.exports = function (RED) {
       nkeySeed: { type: "password" }
     }
   });
+
+  // Test connection: Turn connect errors into hints the editor can show
+  const describeConnectionError = (err) => {
+    const code = err.code || '';
+    const message = err.message || String(err);
+    if (/authorization|authentication/i.test(code + message)) {
+      return 'Authorization failed - check username/password, token, JWT/NKey or .creds file';
+    }
+    if (code === 'ECONNREFUSED' || /CONNECTION_REFUSED/i.test(code)) {
+      return 'Connection refused - check server URL/port and that the NATS server is running';
+    }
+    if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+      return `Host not found - check server URL (${message})`;
+    }
+    if (/TIMEOUT/i.test(code) || /timeout/i.test(message)) {
+      return 'Connection timed out - server not reachable or blocked by a firewall/proxy';
+    }
+    if (code === 'ENOENT') {
+      return `File not found: ${err.path || message}`;
+    }
+    if (/certificate|self.signed|CERT_|SSL|TLS/i.test(code + message)) {
+      return `TLS error - check CA/client certificate or "Verify Server Certificate" (${message})`;
+    }
+    return message;
+  };
+
+  // Test connection: Editor sends the dialog values; unchanged passwords arrive as '__PWRD__'
+  // and are taken from the deployed node's credentials
+  const resolveTestCredentials = (id, credentials) => {
+    const stored = (id && RED.nodes.getCredentials(id)) || {};
+    const resolved = {};
+    ['user', 'pass', 'token', 'jwt', 'nkeySeed'].forEach(key => {
+      const value = credentials ? credentials[key] : undefined;
+      resolved[key] = value === undefined || value === '__PWRD__' ? (stored[key] || '') : value;
+    });
+    return resolved;
+  };
+
+  // Test connection: One-off connection with the same ConnectionOptions as NatsServerNode
+  RED.httpAdmin.post('/nats-suite-server/test', RED.auth.needsPermission('nats-suite-server.write'), async (req, res) => {
+    const body = req.body || {};
+    const config = body.config || {};
+    const messages = [];
+    const logger = {
+      log: () => {},
+      warn: (message) => messages.push(message),
+      error: (message) => messages.push(message)
+    };
+
+    let nc = null;
+    try {
+      const { options, servers, useWebSocket, webSocketTls } =
+        buildConnectionOptions(config, resolveTestCredentials(body.id, body.credentials), logger);
+
+      if (servers.length === 0) {
+        res.json({ ok: false, error: 'No server URL configured', warnings: messages });
+        return;
+      }
+
+      if (useWebSocket) {
+        configureWebSocket(options, servers, webSocketTls, config, logger);
+      }
+
+      const startTime = Date.now();
+      nc = useWebSocket ? await connectWebSocket(options) : await connect(options);
+      const connectTime = Date.now() - startTime;
+      const info = nc.info || {};
+
+      let rtt = null;
+      try {
+        rtt = await nc.rtt();
+      } catch (err) {
+        // Not essential for the test result
+      }
+
+      // JetStream status of the account
+      let jetstream = { enabled: false };
+      try {
+        const jsm = await nc.jetstreamManager({ timeout: 3000 });
+        const account = await jsm.getAccountInfo();
+        jetstream = {
+          enabled: true,
+          streams: account.streams,
+          consumers: account.consumers,
+          memory: account.memory,
+          storage: account.storage,
+          domain: account.domain || null
+        };
+      } catch (err) {
+        jetstream = { enabled: false, error: err.message };
+      }
+
+      res.json({
+        ok: true,
+        connectedServer: nc.getServer(),
+        transport: useWebSocket ? 'websocket' : 'tcp',
+        connectTime: connectTime,
+        rtt: rtt,
+        server: {
+          id: info.server_id,
+          name: info.server_name,
+          version: info.version,
+          cluster: info.cluster || null,
+          tlsRequired: !!info.tls_required,
+          maxPayload: info.max_payload,
+          headers: !!info.headers
+        },
+        jetstream: jetstream,
+        warnings: messages
+      });
+    } catch (err) {
+      res.json({ ok: false, error: describeConnectionError(err), details: err.message, warnings: messages });
+    } finally {
+      if (nc) {
+        await nc.close().catch(() => {});
+      }
+    }
+  });
+
+  // Resource pickers: Limit list sizes so huge accounts don't flood the editor
+  const MAX_RESOURCE_ITEMS = 1000;
+
+  // Resource pickers: Run a lookup on the live connection of a deployed server config node
+  const withServerConnection = (lookup) => async (req, res) => {
+    const serverNode = RED.nodes.getNode(req.params.id);
+    if (!serverNode || serverNode.type !== 'nats-suite-server') {
+      res.status(404).json({ error: 'Server configuration not deployed yet' });
+      return;
+    }
+    if (serverNode.connectionStatus !== 'connected' || !serverNode.connection) {
+      res.status(503).json({ error: `Server not connected (${serverNode.connectionStatus})` });
+      return;
+    }
+    try {
+      res.json(await lookup(serverNode.connection, req.params));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  // Resource pickers: Stream infos, optionally only those backing KV (KV_) or object (OBJ_) buckets
+  const listStreams = async (nc, prefix) => {
+    const jsm = await nc.jetstreamManager();
+    const streams = [];
+    for await (const si of jsm.streams.list()) {
+      const name = si.config.name;
+      const isView = name.startsWith('KV_') || name.startsWith('OBJ_');
+      if (prefix ? name.startsWith(prefix) : !isView) {
+        streams.push(si);
+      }
+      if (streams.length >= MAX_RESOURCE_ITEMS) break;
+    }
+    return streams;
+  };
+
+  const permission = RED.auth.needsPermission('nats-suite-server.read');
+
+  RED.httpAdmin.get('/nats-suite-server/:id/streams', permission, withServerConnection(async (nc) => {
+    const streams = await listStreams(nc);
+    return streams.map(si => ({
+      name: si.config.name,
+      subjects: si.config.subjects || [],
+      messages: si.state.messages
+    }));
+  }));
+
+  RED.httpAdmin.get('/nats-suite-server/:id/streams/:stream/consumers', permission, withServerConnection(async (nc, params) => {
+    const jsm = await nc.jetstreamManager();
+    const consumers = [];
+    for await (const ci of jsm.consumers.list(params.stream)) {
+      consumers.push({
+        name: ci.name,
+        durable: !!ci.config.durable_name,
+        pending: ci.num_pending
+      });
+      if (consumers.length >= MAX_RESOURCE_ITEMS) break;
+    }
+    return consumers;
+  }));
+
+  RED.httpAdmin.get('/nats-suite-server/:id/kv', permission, withServerConnection(async (nc) => {
+    const streams = await listStreams(nc, 'KV_');
+    return streams.map(si => ({
+      name: si.config.name.substring(3),
+      values: si.state.messages
+    }));
+  }));
+
+  RED.httpAdmin.get('/nats-suite-server/:id/kv/:bucket/keys', permission, withServerConnection(async (nc, params) => {
+    const kv = await nc.jetstream().views.kv(params.bucket, { bindOnly: true });
+    const keys = [];
+    for await (const key of await kv.keys()) {
+      keys.push(key);
+      if (keys.length >= MAX_RESOURCE_ITEMS) break;
+    }
+    return keys.sort();
+  }));
+
+  RED.httpAdmin.get('/nats-suite-server/:id/objects', permission, withServerConnection(async (nc) => {
+    const streams = await listStreams(nc, 'OBJ_');
+    return streams.map(si => ({
+      name: si.config.name.substring(4),
+      size: si.state.bytes
+    }));
+  }));
 };
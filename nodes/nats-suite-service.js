@@ -62,142 +62,166 @@ module.exports = function (RED) {
 
     this.serverConfig.addStatusListener(statusListener);
 
-    // Helper: Start service
-    const startService = async () => {
-      if (isServiceRunning) {
-        node.warn('[SERVICE] Service already running');
-        return;
+    const serviceName = config.serviceName || 'default-service';
+    const version = config.serviceVersion || '1.0.0';
+    const registryKey = `${node.id}:service`;
+
+    // Helper: Create service and endpoint on the given connection
+    const createService = async (natsConnection) => {
+      const description = config.serviceDescription || '';
+
+      // Create service config
+      const serviceConfig = {
+        name: serviceName,
+        version: version,
+        description: description,
+        queue: config.queueGroup || serviceName
+      };
+
+      // Add metadata if configured
+      if (config.metadata) {
+        try {
+          serviceConfig.metadata = JSON.parse(config.metadata);
+        } catch (err) {
+          node.warn(`[SERVICE] Failed to parse metadata: ${err.message}`);
+        }
       }
 
-      try {
-        nc = await node.serverConfig.getConnection();
+      // Create service
+      const newService = await natsConnection.services.add(serviceConfig);
+
+      // Add endpoint
+      const endpoint = config.endpoint || 'process';
+      const subject = config.endpointSubject || `${serviceName}.${endpoint}`;
+
+      const endpointHandler = async (err, msg) => {
+        const startTime = Date.now();
         
-        const serviceName = config.serviceName || 'default-service';
-        const version = config.serviceVersion || '1.0.0';
-        const description = config.serviceDescription || '';
-
-        // Create service config
-        const serviceConfig = {
-          name: serviceName,
-          version: version,
-          description: description,
-          queue: config.queueGroup || serviceName
-        };
-
-        // Add metadata if configured
-        if (config.metadata) {
+        try {
+          serviceStats.requests++;
+          serviceStats.lastRequest = Date.now();
+
+          if (err) {
+            serviceStats.errors++;
+            node.error(`[SERVICE] Error in endpoint: ${err.message}`);
+            return;
+          }
+
+          // Decode request
+          const requestData = sc.decode(msg.data);
+          let payload;
           try {
-            serviceConfig.metadata = JSON.parse(config.metadata);
-          } catch (err) {
-            node.warn(`[SERVICE] Failed to parse metadata: ${err.message}`);
+            payload = JSON.parse(requestData);
+          } catch (e) {
+            payload = requestData;
           }
-        }
 
-        // Create service
-        service = await nc.services.add(serviceConfig);
-        isServiceRunning = true;
+          if (isDebug) {
+            node.log(`[SERVICE] Request received on ${subject}: ${JSON.stringify(payload)}`);
+          }
 
-        // Add endpoint
-        const endpoint = config.endpoint || 'process';
-        const subject = config.endpointSubject || `${serviceName}.${endpoint}`;
+          // Build output message
+          const outMsg = {
+            payload: payload,
+            subject: msg.subject,
+            service: serviceName,
+            endpoint: endpoint,
+            respond: (response) => {
+              try {
+                const responseData = typeof response === 'string' ? response : JSON.stringify(response);
+                msg.respond(sc.encode(responseData));
+                
+                // Update stats
+                const processingTime = Date.now() - startTime;
+                serviceStats.avgProcessingTime = 
+                  (serviceStats.avgProcessingTime * (serviceStats.requests - 1) + processingTime) / serviceStats.requests;
+                
+                if (isDebug) {
+                  node.log(`[SERVICE] Response sent in ${processingTime}ms`);
+                }
+              } catch (err) {
+                serviceStats.errors++;
+                node.error(`[SERVICE] Failed to respond: ${err.message}`);
+              }
+            },
+            respondError: (error, code) => {
+              try {
+                serviceStats.errors++;
+                const errorResponse = {
+                  error: error,
+                  code: code || 'SERVICE_ERROR'
+                };
+                msg.respond(sc.encode(JSON.stringify(errorResponse)));
+              } catch (err) {
+                node.error(`[SERVICE] Failed to send error response: ${err.message}`);
+              }
+            }
+          };
 
-        const endpointHandler = async (err, msg) => {
-          const startTime = Date.now();
+          // Send to output for processing
+          node.send(outMsg);
           
-          try {
-            serviceStats.requests++;
-            serviceStats.lastRequest = Date.now();
+          // Update status
+          node.status({ 
+            fill: 'green', 
+            shape: 'dot', 
+            text: `${serviceName} (${serviceStats.requests} reqs)` 
+          });
 
-            if (err) {
-              serviceStats.errors++;
-              node.error(`[SERVICE] Error in endpoint: ${err.message}`);
-              return;
-            }
+        } catch (err) {
+          serviceStats.errors++;
+          node.error(`[SERVICE] Handler error: ${err.message}`);
+          
+          try {
+            msg.respond(sc.encode(JSON.stringify({
+              error: 'Internal service error',
+              code: 'INTERNAL_ERROR'
+            })));
+          } catch (respondErr) {
+            node.error(`[SERVICE] Failed to send error response: ${respondErr.message}`);
+          }
+        }
+      };
 
-            // Decode request
-            const requestData = sc.decode(msg.data);
-            let payload;
-            try {
-              payload = JSON.parse(requestData);
-            } catch (e) {
-              payload = requestData;
-            }
+      // Add endpoint to service
+      await newService.addEndpoint(endpoint, endpointHandler);
 
-            if (isDebug) {
-              node.log(`[SERVICE] Request received on ${subject}: ${JSON.stringify(payload)}`);
-            }
+      node.log(`[SERVICE] Service started: ${serviceName} v${version}`);
+      node.log(`[SERVICE] Endpoint: ${subject}`);
+      return newService;
+    };
 
-            // Build output message
-            const outMsg = {
-              payload: payload,
-              subject: msg.subject,
-              service: serviceName,
-              endpoint: endpoint,
-              respond: (response) => {
-                try {
-                  const responseData = typeof response === 'string' ? response : JSON.stringify(response);
-                  msg.respond(sc.encode(responseData));
-                  
-                  // Update stats
-                  const processingTime = Date.now() - startTime;
-                  serviceStats.avgProcessingTime = 
-                    (serviceStats.avgProcessingTime * (serviceStats.requests - 1) + processingTime) / serviceStats.requests;
-                  
-                  if (isDebug) {
-                    node.log(`[SERVICE] Response sent in ${processingTime}ms`);
-                  }
-                } catch (err) {
-                  serviceStats.errors++;
-                  node.error(`[SERVICE] Failed to respond: ${err.message}`);
-                }
-              },
-              respondError: (error, code) => {
-                try {
-                  serviceStats.errors++;
-                  const errorResponse = {
-                    error: error,
-                    code: code || 'SERVICE_ERROR'
-                  };
-                  msg.respond(sc.encode(JSON.stringify(errorResponse)));
-                } catch (err) {
-                  node.error(`[SERVICE] Failed to send error response: ${err.message}`);
-                }
-              }
-            };
-
-            // Send to output for processing
-            node.send(outMsg);
-            
-            // Update status
-            node.status({ 
-              fill: 'green', 
-              shape: 'dot', 
-              text: `${serviceName} (${serviceStats.requests} reqs)` 
-            });
-
-          } catch (err) {
-            serviceStats.errors++;
-            node.error(`[SERVICE] Handler error: ${err.message}`);
-            
-            try {
-              msg.respond(sc.encode(JSON.stringify({
-                error: 'Internal service error',
-                code: 'INTERNAL_ERROR'
-              })));
-            } catch (respondErr) {
-              node.error(`[SERVICE] Failed to send error response: ${respondErr.message}`);
-            }
-          }
-        };
+    // Helper: Start service
+    const startService = async () => {
+      if (isServiceRunning) {
+        node.warn('[SERVICE] Service already running');
+        return;
+      }
 
-        // Add endpoint to service
-        await service.addEndpoint(endpoint, endpointHandler);
+      try {
+        nc = await node.serverConfig.getConnection();
 
-        node.log(`[SERVICE] Service started: ${serviceName} v${version}`);
-        node.log(`[SERVICE] Endpoint: ${subject}`);
-        node.status({ fill: 'green', shape: 'dot', text: `${serviceName} (running)` });
+        // Subscription Registry: the server config re-creates the service after a reconnect
+        isServiceRunning = true;
+        service = await node.serverConfig.registerSubscription(registryKey, {
+          nodeId: node.id,
+          create: createService,
+          close: (srv) => srv.stop(),
+          onRestored: (restored) => {
+            service = restored;
+            node.status({ fill: 'green', shape: 'dot', text: `${serviceName} (running)` });
+          },
+          onError: () => node.status({ fill: 'red', shape: 'ring', text: 'restore failed' })
+        });
+
+        if (service) {
+          node.status({ fill: 'green', shape: 'dot', text: `${serviceName} (running)` });
+        } else {
+          node.status({ fill: 'yellow', shape: 'ring', text: `${serviceName} (waiting)` });
+        }
 
       } catch (err) {
+        isServiceRunning = false;
         node.error(`[SERVICE] Failed to start service: ${err.message}`);
         node.status({ fill: 'red', shape: 'ring', text: 'start failed' });
       }
@@ -205,12 +229,12 @@ module.exports = function (RED) {
 
     // Helper: Stop service
     const stopService = async () => {
-      if (!isServiceRunning || !service) {
+      if (!isServiceRunning) {
         return;
       }
 
       try {
-        await service.stop();
+        await node.serverConfig.unregisterSubscription(registryKey);
         isServiceRunning = false;
         service = null;
 
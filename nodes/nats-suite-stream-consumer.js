@@ -1,6 +1,8 @@
 'use strict';
 
 const { StringCodec } = require('nats');
+const { getCodec, getContentType, getFormatForContentType, getHeader, PROTOBUF_TYPE_HEADER } = require('./lib/payload-codecs');
+const { isEncryptedMessage, ENCRYPTION_KEY_ID_HEADER } = require('./lib/envelope-encryption');
 
 module.exports = function (RED) {
   function UnsStreamConsumerNode(config) {
@@ -38,8 +40,12 @@ module.exports = function (RED) {
     let consumer = null;
     let isConsuming = false;
     let isPaused = false; // Pause state
+    let activeConsume = null; // Promise of the running fetch (awaited on close)
     const sc = StringCodec();
 
+    // Protobuf: Optional schema for messages with Content-Type application/x-protobuf
+    const protobufSchema = config.protobufSchema ? RED.nodes.getNode(config.protobufSchema) : null;
+
     // Helper: Parse duration string to nanoseconds
     const parseDuration = (duration) => {
       if (!duration) return 0;
@@ -133,15 +139,63 @@ module.exports = function (RED) {
     // Helper: Process a single message
     const processMessage = async (msg, jetMsg) => {
       try {
-        // Decode payload
-        const data = sc.decode(jetMsg.data);
-        
-        // Try to parse as JSON
+        // Encryption: Decrypt the envelope (key picked by its key id), the message stays unacknowledged on failure
+        let body = jetMsg.data;
+        if (isEncryptedMessage(jetMsg.headers)) {
+          const encryptionKey = config.encryptionKey ? RED.nodes.getNode(config.encryptionKey) : null;
+          try {
+            if (!encryptionKey) {
+              throw Object.assign(new Error('Message is encrypted but no encryption key is configured'), { code: 'DECRYPT_ERROR' });
+            }
+            body = encryptionKey.decrypt(jetMsg.data);
+          } catch (decryptErr) {
+            node.error({
+              message: decryptErr.message,
+              code: decryptErr.code || 'DECRYPT_ERROR',
+              keyId: decryptErr.keyId || getHeader(jetMsg.headers, ENCRYPTION_KEY_ID_HEADER) || null
+            }, msg);
+            return;
+          }
+        } else if (config.encryptionKey && !config.allowPlaintext) {
+          // Encryption: Fail closed, plaintext is only accepted when explicitly allowed (migration)
+          node.error({
+            message: 'Message is not encrypted but an encryption key is configured',
+            code: 'NOT_ENCRYPTED',
+            keyId: null
+          }, msg);
+          return;
+        }
+
+        // Decode payload: Binary encodings are selected by the Content-Type header
+        const format = getFormatForContentType(getContentType(jetMsg.headers));
+        const payloadCodec = getCodec(format);
         let payload;
-        try {
-          payload = JSON.parse(data);
-        } catch (e) {
-          payload = data;
+        let protobufType = null;
+        if (format === 'protobuf' && protobufSchema) {
+          protobufType = config.protobufType || getHeader(jetMsg.headers, PROTOBUF_TYPE_HEADER);
+          try {
+            payload = await protobufSchema.decode(protobufType, body);
+          } catch (decodeErr) {
+            node.error({
+              message: decodeErr.message,
+              code: decodeErr.code || 'PROTOBUF_DECODE_ERROR',
+              type: protobufType,
+              field: decodeErr.field || null
+            }, msg);
+            return;
+          }
+        } else if (format === 'protobuf') {
+          payload = Buffer.from(body);
+        } else if (payloadCodec) {
+          payload = payloadCodec.decode(body);
+        } else {
+          // Try to parse as JSON
+          const data = sc.decode(body);
+          try {
+            payload = JSON.parse(data);
+          } catch (e) {
+            payload = data;
+          }
         }
 
         // Build output message
@@ -155,6 +209,9 @@ module.exports = function (RED) {
           redelivered: jetMsg.info.redelivered || false,
           pending: jetMsg.info.pending || 0,
         };
+        if (protobufType) {
+          outMsg.protobufType = protobufType;
+        }
 
         // Add headers if present
         if (jetMsg.headers) {
@@ -231,7 +288,11 @@ module.exports = function (RED) {
     // Helper: Consume messages
     const consumeMessages = async (batchSize = 1) => {
       if (!consumer || isConsuming || isPaused) return;
+      activeConsume = consumeBatch(batchSize);
+      await activeConsume;
+    };
 
+    const consumeBatch = async (batchSize) => {
       try {
         isConsuming = true;
         
@@ -568,14 +629,20 @@ module.exports = function (RED) {
     });
 
     // Cleanup on close
-    node.on('close', async function () {
+    node.on('close', async function (done) {
       this.serverConfig.removeStatusListener(statusListener);
+
+      // Drain: finish processing (and acking) the messages of the current fetch
+      if (isConsuming && activeConsume) {
+        await this.serverConfig.withDrainTimeout(activeConsume, `stream consumer ${config.consumerName}`);
+      }
       this.serverConfig.unregisterConnectionUser(node.id);
       
       // Don't delete the consumer - it's durable and should persist
       consumer = null;
       jsClient = null;
       node.status({});
+      done();
     });
   }
 
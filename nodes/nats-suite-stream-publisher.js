@@ -1,6 +1,9 @@
 'use strict';
 
 const { StringCodec, headers: natsHeaders } = require('nats');
+const { getCodec, setContentType, setProtobufHeaders } = require('./lib/payload-codecs');
+const { setEncryptionHeaders } = require('./lib/envelope-encryption');
+const { MAX_BATCH_SIZE, publishAtomicBatch } = require('./lib/atomic-batch');
 
 module.exports = function (RED) {
   function UnsStreamPublisherNode(config) {
@@ -30,7 +33,17 @@ module.exports = function (RED) {
 
     let jsClient = null;
     let streamInfo = null;
+    const pendingAcks = new Set(); // Publishes still waiting for their PubAck (awaited on close)
     const sc = StringCodec();
+    let lastSubject = null; // Error routing: reported with permission violations on this node
+    const payloadCodec = getCodec(config.codec); // null = JSON/string payloads
+
+    // Atomic batch: msg.payload array as one batch, or input messages collected into a batch
+    const atomicBatch = config.atomicBatch || 'none'; // 'none' | 'array' | 'collect'
+    const atomicBatchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, parseInt(config.atomicBatchSize, 10) || 100));
+    const atomicBatchInterval = parseInt(config.atomicBatchInterval, 10) || 0; // ms, 0 = size or msg.complete only
+    let collectedBatch = [];
+    let collectTimer = null;
 
     // Helper: Parse duration string to nanoseconds (e.g., "24h" -> nanoseconds)
     const parseDuration = (duration) => {
@@ -51,6 +64,24 @@ module.exports = function (RED) {
       }
     };
 
+    // Helper: Atomic batch publish needs allow_atomic on the stream, an existing stream is updated
+    // (fails on servers before NATS 2.12 or without permission to update the stream)
+    const allowAtomicBatch = async (jsm) => {
+      try {
+        streamInfo = await jsm.streams.update(config.streamName, { ...streamInfo.config, allow_atomic: true });
+        node.log(`[STREAM PUB] Atomic batch publish enabled on stream: ${config.streamName}`);
+        return true;
+      } catch (err) {
+        node.error({
+          message: `Atomic batch publish is not allowed on stream ${config.streamName} and enabling it failed: ${err.message}`,
+          code: 'ATOMIC_BATCH_NOT_ALLOWED',
+          stream: config.streamName
+        });
+        node.status({ fill: 'red', shape: 'ring', text: 'atomic batch not allowed' });
+        return false;
+      }
+    };
+
     // Helper: Get or create stream
     const ensureStream = async () => {
       try {
@@ -62,6 +93,9 @@ module.exports = function (RED) {
         try {
           streamInfo = await jsm.streams.info(config.streamName);
           node.log(`[STREAM PUB] Stream exists: ${config.streamName}`);
+          if (atomicBatch !== 'none' && !streamInfo.config.allow_atomic && !(await allowAtomicBatch(jsm))) {
+            return false;
+          }
           node.status({ 
             fill: 'green', 
             shape: 'dot', 
@@ -85,6 +119,9 @@ module.exports = function (RED) {
               num_replicas: parseInt(config.replicas, 10) || 1,
               discard: 'old', // Discard old messages when limits reached
             };
+            if (atomicBatch !== 'none') {
+              streamConfig.allow_atomic = true; // Atomic batch publish (NATS 2.12+)
+            }
 
             await jsm.streams.add(streamConfig);
             streamInfo = await jsm.streams.info(config.streamName);
@@ -103,7 +140,9 @@ module.exports = function (RED) {
     };
 
     // Register with connection pool
-    this.serverConfig.registerConnectionUser(node.id);
+    this.serverConfig.registerConnectionUser(node.id, {
+      subjects: () => [lastSubject, config.defaultSubject, config.subjectPattern].filter(Boolean)
+    });
 
     // Initialize stream
     ensureStream();
@@ -129,6 +168,160 @@ module.exports = function (RED) {
 
     this.serverConfig.addStatusListener(statusListener);
 
+    // Encoding errors carry the status text (null = unchanged) and details for node.error()
+    const createEncodeError = (message, code, statusText, details = {}) =>
+      Object.assign(new Error(message), { code, statusText, details });
+
+    // Encodes a message ({ payload, headers, protobufType }) into { data, headers } (codec, protobuf, encryption)
+    const encodeMessage = async (msg) => {
+      let data;
+      let protobufType = null;
+      if (config.codec === 'protobuf') {
+        const schema = config.protobufSchema ? RED.nodes.getNode(config.protobufSchema) : null;
+        if (!schema) {
+          throw createEncodeError('Protobuf schema configuration not found', 'PROTOBUF_SCHEMA_ERROR', null);
+        }
+        try {
+          const encoded = await schema.encode(msg.protobufType || config.protobufType, msg.payload);
+          data = encoded.data;
+          protobufType = encoded.typeName;
+        } catch (encodeErr) {
+          throw createEncodeError(encodeErr.message, encodeErr.code || 'PROTOBUF_ENCODE_ERROR', 'encode error', {
+            type: encodeErr.type,
+            field: encodeErr.field
+          });
+        }
+      } else if (payloadCodec) {
+        data = payloadCodec.encode(msg.payload);
+      } else if (typeof msg.payload === 'object') {
+        data = sc.encode(JSON.stringify(msg.payload));
+      } else {
+        data = sc.encode(String(msg.payload));
+      }
+
+      // Prepare headers if provided
+      let msgHeaders;
+      if (msg.headers && typeof msg.headers === 'object') {
+        msgHeaders = natsHeaders();
+        Object.keys(msg.headers).forEach(key => {
+          msgHeaders.append(key, String(msg.headers[key]));
+        });
+      }
+      if (payloadCodec) {
+        msgHeaders = setContentType(msgHeaders || natsHeaders(), payloadCodec);
+      }
+      if (protobufType) {
+        msgHeaders = setProtobufHeaders(msgHeaders || natsHeaders(), protobufType);
+      }
+
+      // Encryption: AES-256-GCM envelope around the encoded payload (fails closed if the key is missing)
+      if (config.encryptionKey) {
+        const encryptionKey = RED.nodes.getNode(config.encryptionKey);
+        try {
+          if (!encryptionKey) {
+            throw Object.assign(new Error('Encryption key configuration not found'), { code: 'ENCRYPT_ERROR' });
+          }
+          const encrypted = encryptionKey.encrypt(data);
+          data = encrypted.data;
+          msgHeaders = setEncryptionHeaders(msgHeaders || natsHeaders(), encrypted.keyId);
+        } catch (encryptErr) {
+          throw createEncodeError(encryptErr.message, encryptErr.code || 'ENCRYPT_ERROR', 'encrypt error');
+        }
+      }
+
+      return { data, headers: msgHeaders };
+    };
+
+    // Atomic batch: Publishes entries ({ subject, payload, headers, protobufType }) all-or-nothing and sends
+    // one result message. Entries are encoded first, so an invalid entry fails the batch before anything is sent.
+    const runAtomicBatch = async (entries, msg) => {
+      try {
+        if (!jsClient && !(await ensureStream())) {
+          throw Object.assign(new Error('Stream not ready'), { code: 'STREAM_NOT_READY' });
+        }
+        const messages = [];
+        for (const [index, entry] of entries.entries()) {
+          const subject = entry.subject || config.defaultSubject;
+          if (!subject) {
+            throw Object.assign(new Error(`No subject for batch message ${index}`), { code: 'NO_SUBJECT', details: { index } });
+          }
+          try {
+            const { data, headers } = await encodeMessage(entry);
+            messages.push({ subject, data, headers });
+          } catch (encodeErr) {
+            encodeErr.details = { ...encodeErr.details, index };
+            throw encodeErr;
+          }
+        }
+        const nc = await node.serverConfig.getConnection();
+        lastSubject = messages.length > 0 ? messages[messages.length - 1].subject : lastSubject;
+        const pubAck = await publishAtomicBatch(nc, messages);
+
+        msg.stream = pubAck.stream;
+        msg.sequence = pubAck.seq; // Sequence of the last (commit) message
+        msg.batch = { id: pubAck.batch, count: pubAck.count };
+        msg.published = true;
+        node.status({ fill: 'green', shape: 'dot', text: `${config.streamName} (batch of ${pubAck.count})` });
+        node.send(msg);
+      } catch (err) {
+        msg.published = false;
+        msg.error = err.message;
+        node.error({
+          message: `Atomic batch publish failed: ${err.message}`,
+          code: err.code || 'ATOMIC_BATCH_FAILED',
+          apiCode: err.apiCode,
+          ...err.details
+        }, msg);
+        node.status({ fill: 'red', shape: 'ring', text: 'batch failed' });
+        node.send(msg);
+      }
+    };
+
+    // Tracked like pending acks, so close waits for running batches
+    const publishBatch = (entries, msg) => {
+      const batchPromise = runAtomicBatch(entries, msg);
+      pendingAcks.add(batchPromise);
+      return batchPromise.finally(() => pendingAcks.delete(batchPromise));
+    };
+
+    // Array batch: items are { subject, payload, headers } objects or plain payloads (msg.subject / default subject)
+    const toBatchEntries = (msg) => msg.payload.map(item => {
+      const isEntry = item !== null && typeof item === 'object' && !Array.isArray(item) && 'payload' in item;
+      const entry = isEntry ? item : { payload: item };
+      return {
+        subject: entry.subject || msg.subject,
+        payload: entry.payload,
+        headers: entry.headers || msg.headers,
+        protobufType: entry.protobufType || msg.protobufType
+      };
+    });
+
+    // Collected batch: one result message (the last input message with the payloads as array)
+    const commitCollectedBatch = () => {
+      if (collectTimer) {
+        clearTimeout(collectTimer);
+        collectTimer = null;
+      }
+      const collected = collectedBatch;
+      collectedBatch = [];
+      if (collected.length === 0) return Promise.resolve();
+      const resultMsg = { ...collected[collected.length - 1], payload: collected.map(collectedMsg => collectedMsg.payload) };
+      return publishBatch(collected, resultMsg);
+    };
+
+    // Collects until the batch size, msg.complete or the interval (from the first message)
+    const collectBatchMessage = (msg) => {
+      collectedBatch.push(msg);
+      if (collectedBatch.length >= atomicBatchSize || msg.complete) {
+        return commitCollectedBatch();
+      }
+      if (atomicBatchInterval > 0 && !collectTimer) {
+        collectTimer = setTimeout(commitCollectedBatch, atomicBatchInterval);
+      }
+      node.status({ fill: 'blue', shape: 'ring', text: `batch ${collectedBatch.length}/${atomicBatchSize}` });
+      return Promise.resolve();
+    };
+
     // Stream Management Operations
     const performStreamOperation = async (msg) => {
       try {
@@ -259,6 +452,16 @@ module.exports = function (RED) {
           return;
         }
 
+        // Atomic batch publish (one result message per batch)
+        if (atomicBatch === 'collect') {
+          await collectBatchMessage(msg);
+          return;
+        }
+        if (atomicBatch === 'array' && Array.isArray(msg.payload)) {
+          await publishBatch(toBatchEntries(msg), msg);
+          return;
+        }
+
         // Ensure we have a JetStream client
         if (!jsClient) {
           const ready = await ensureStream();
@@ -275,28 +478,32 @@ module.exports = function (RED) {
           return;
         }
 
-        // Prepare payload
-        let payload;
-        if (typeof msg.payload === 'object') {
-          payload = JSON.stringify(msg.payload);
-        } else {
-          payload = String(msg.payload);
-        }
-
-        // Prepare headers if provided
-        let msgHeaders;
-        if (msg.headers && typeof msg.headers === 'object') {
-          msgHeaders = natsHeaders();
-          Object.keys(msg.headers).forEach(key => {
-            msgHeaders.append(key, String(msg.headers[key]));
-          });
+        // Encode payload and headers
+        let encoded;
+        try {
+          encoded = await encodeMessage(msg);
+        } catch (encodeErr) {
+          node.error({ message: encodeErr.message, code: encodeErr.code, ...encodeErr.details }, msg);
+          if (encodeErr.statusText) {
+            node.status({ fill: 'red', shape: 'ring', text: encodeErr.statusText });
+          }
+          return;
         }
+        const { data, headers: msgHeaders } = encoded;
 
         // Publish to stream
-        const pubAck = await jsClient.publish(subject, sc.encode(payload), {
+        lastSubject = subject;
+        const ackPromise = jsClient.publish(subject, data, {
           headers: msgHeaders,
           msgID: msg._msgID || undefined, // Optional message ID for deduplication
         });
+        pendingAcks.add(ackPromise);
+        let pubAck;
+        try {
+          pubAck = await ackPromise;
+        } finally {
+          pendingAcks.delete(ackPromise);
+        }
 
         // Update message with publish info
         msg.stream = pubAck.stream;
@@ -338,12 +545,24 @@ module.exports = function (RED) {
     });
 
     // Cleanup on close
-    node.on('close', function () {
+    node.on('close', async function (done) {
       this.serverConfig.removeStatusListener(statusListener);
+
+      // Commit a collected batch (waited for with the pending acks)
+      if (collectedBatch.length > 0) {
+        commitCollectedBatch();
+      }
+
+      // Drain: wait for outstanding PubAcks so no publish result is lost
+      if (pendingAcks.size > 0) {
+        node.log(`[STREAM PUB] Waiting for ${pendingAcks.size} pending publish acks...`);
+        await this.serverConfig.withDrainTimeout(Promise.allSettled(Array.from(pendingAcks)), 'stream publisher acks');
+      }
       this.serverConfig.unregisterConnectionUser(node.id);
       jsClient = null;
       streamInfo = null;
       node.status({});
+      done();
     });
   }
 
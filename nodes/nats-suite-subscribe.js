@@ -1,13 +1,21 @@
 'use strict';
 
 const { StringCodec } = require('nats');
+const { getCodec, getContentType, getFormatForContentType, getHeader, PROTOBUF_TYPE_HEADER } = require('./lib/payload-codecs');
+const { isCloudEventMessage, parseCloudEvent } = require('./lib/cloudevents');
+const { isEncryptedMessage, ENCRYPTION_KEY_ID_HEADER } = require('./lib/envelope-encryption');
+const { parseList, verifyMessage } = require('./lib/message-signing');
+const { getClaimReference, bindClaimStore, fetchClaim } = require('./lib/claim-check');
+const { MSG_ID_HEADER, createDedupWindow } = require('./lib/dedup-window');
+const { headersToObject, parseHeaderFilter, headersMatch } = require('./lib/header-filter');
 
 // NATS Error Code Constants
 const NATS_ERROR_CODES = {
   CANCELLED: 'CANCELLED',
   BAD_SUBSCRIPTION: 'BAD_SUBSCRIPTION',
   TIMEOUT: 'TIMEOUT',
-  SERVICE_UNAVAILABLE: '503'
+  SERVICE_UNAVAILABLE: '503',
+  PERMISSIONS_VIOLATION: 'PERMISSIONS_VIOLATION'
 };
 
 module.exports = function (RED) {
@@ -46,8 +54,7 @@ module.exports = function (RED) {
       return;
     }
 
-    let subscription = null;
-    let subscriptionIterator = null; // For Async Iterator cleanup
+    let subscriptionRegistered = false; // Registered with the server config's subscription registry
     let currentSubject = ''; // Current active subscription subject
     let baseSubject = ''; // Base subject from config (fallback)
     let connectionTimeout = null;
@@ -70,18 +77,159 @@ module.exports = function (RED) {
     
     // Parse mode
     const parseMode = config.dataformat || 'auto';
+
+    // Protobuf: Schema config (type from config, else from the Protobuf-Type header)
+    const protobufSchema = config.protobufSchema ? RED.nodes.getNode(config.protobufSchema) : null;
     
     // Subscription mode: static or dynamic
     const subscriptionMode = config.subscriptionMode || 'static';
 
+    // Headers: msg.headers output and optional header filter
+    const keepHeaderArrays = !!config.headerArrays;
+    let headerFilter = null;
+    if (config.headerFilter && config.headerFilter.trim() !== '') {
+      try {
+        headerFilter = parseHeaderFilter(config.headerFilter);
+      } catch (err) {
+        node.warn(`[NATS-SUITE SUBSCRIBE] Failed to parse header filter: ${err.message}`);
+      }
+    }
+
+    // Signature verification: Trusted NKey public keys; failed messages go to the second output
+    const verifySignatures = !!config.verifySignatures;
+    const trustedKeys = new Set(parseList(config.trustedKeys));
+    const sendMessage = (outMsg) => node.send(verifySignatures ? [outMsg, null] : outMsg);
+
+    // Deduplication: Drop messages whose Nats-Msg-Id was already received within the window (seconds, 0 = off)
+    const dedupWindowSeconds = Math.max(parseInt(config.dedupWindow, 10) || 0, 0);
+    const dedupWindow = dedupWindowSeconds > 0 ? createDedupWindow(dedupWindowSeconds * 1000) : null;
+    let droppedDuplicates = 0;
+
+    // Claim-check: Payloads are only fetched from the configured bucket (the reference comes from the message),
+    // which is opened on first use (per connection) and never created
+    const claimBucket = config.claimCheckBucket || 'nats-suite-claims';
+    let claimStore = null;
+    let claimStoreConnection = null;
+    const getClaimStore = async (bucket) => {
+      if (bucket !== claimBucket) {
+        throw Object.assign(new Error(`Claim-check bucket "${bucket}" is not the configured bucket "${claimBucket}"`),
+          { code: 'CLAIM_CHECK_BUCKET_NOT_ALLOWED' });
+      }
+      const natsnc = await node.config.getConnection();
+      if (!claimStore || natsnc !== claimStoreConnection) {
+        claimStore = await bindClaimStore(natsnc.jetstream(), await natsnc.jetstreamManager(), claimBucket);
+        claimStoreConnection = natsnc;
+      }
+      return claimStore;
+    };
+
     // Create StringCodec once for performance
     const sc = StringCodec();
 
     // Helper function for message processing (DRY principle)
-    const processMessage = (msg) => {
+    const processMessage = async (msg) => {
       if (isDebug) {
         node.log(`[[NATS-SUITE SUBSCRIBE] Processing message from subject: ${currentSubject}`);
       }
+
+      // Header filter: Drop messages whose headers don't match
+      if (headerFilter && !headersMatch(msg.headers, headerFilter)) {
+        if (isDebug) {
+          node.log(`[[NATS-SUITE SUBSCRIBE] Message on ${msg.subject} dropped by header filter`);
+        }
+        return;
+      }
+
+      // Deduplication: Messages without a message ID are always delivered. The ID is only recorded
+      // once the message is sent, so a copy failing claim-check, signature or decryption doesn't
+      // suppress a valid redelivery
+      const msgId = dedupWindow ? getHeader(msg.headers, MSG_ID_HEADER) : '';
+      const dropDuplicate = () => {
+        droppedDuplicates++;
+        if (isDebug) {
+          node.log(`[[NATS-SUITE SUBSCRIBE] Duplicate ${msgId} on ${msg.subject} dropped (total: ${droppedDuplicates})`);
+        }
+      };
+      if (msgId && dedupWindow.has(msgId)) {
+        dropDuplicate();
+        return;
+      }
+
+      // Claim-check: Replace the reference with the offloaded payload (before signature check and decryption)
+      const claimReference = getClaimReference(msg.headers);
+      if (claimReference) {
+        try {
+          const claimStore = await getClaimStore(claimReference.bucket);
+          msg = { subject: msg.subject, reply: msg.reply, headers: msg.headers, data: await fetchClaim(claimStore, claimReference) };
+        } catch (claimErr) {
+          node.error({
+            message: claimErr.message,
+            code: claimErr.code || 'CLAIM_CHECK_ERROR',
+            bucket: claimReference.bucket,
+            object: claimReference.object
+          }, {
+            topic: msg.subject,
+            rawData: msg.data
+          });
+          return;
+        }
+        if (isDebug) {
+          node.log(`[[NATS-SUITE SUBSCRIBE] Fetched claim-check payload ${claimReference.object} (${msg.data.length} bytes)`);
+        }
+      }
+
+      // Signature: Verified on the payload as received (before decryption)
+      let signedBy = null;
+      if (verifySignatures) {
+        const verification = verifyMessage(msg.headers, msg.data, trustedKeys);
+        if (!verification.valid) {
+          if (isDebug) {
+            node.log(`[[NATS-SUITE SUBSCRIBE] Signature check failed on ${msg.subject}: ${verification.reason}`);
+          }
+          node.send([null, {
+            topic: msg.subject,
+            payload: msg.data,
+            headers: msg.headers ? headersToObject(msg.headers, keepHeaderArrays) : undefined,
+            reason: verification.reason,
+            code: verification.code,
+            publicKey: verification.publicKey
+          }]);
+          return;
+        }
+        signedBy = verification.publicKey;
+      }
+
+      // Encryption: Decrypt the envelope (key picked by its key id) before decoding
+      if (isEncryptedMessage(msg.headers)) {
+        const encryptionKey = config.encryptionKey ? RED.nodes.getNode(config.encryptionKey) : null;
+        try {
+          if (!encryptionKey) {
+            throw Object.assign(new Error('Message is encrypted but no encryption key is configured'), { code: 'DECRYPT_ERROR' });
+          }
+          msg = { subject: msg.subject, reply: msg.reply, headers: msg.headers, data: encryptionKey.decrypt(msg.data) };
+        } catch (decryptErr) {
+          node.error({
+            message: decryptErr.message,
+            code: decryptErr.code || 'DECRYPT_ERROR',
+            keyId: decryptErr.keyId || getHeader(msg.headers, ENCRYPTION_KEY_ID_HEADER) || null
+          }, {
+            topic: msg.subject,
+            rawData: msg.data
+          });
+          return;
+        }
+      } else if (config.encryptionKey && !config.allowPlaintext) {
+        // Encryption: Fail closed, plaintext is only accepted when explicitly allowed (migration)
+        node.error({
+          message: 'Message is not encrypted but an encryption key is configured',
+          code: 'NOT_ENCRYPTED',
+          keyId: null
+        }, {
+          topic: msg.subject,
+          rawData: msg.data
+        });
+        return;
+      }
       
       let message = sc.decode(msg.data);
       let send_message;
@@ -89,8 +237,97 @@ module.exports = function (RED) {
       try {
         // Parse based on mode
         let parsedPayload = message;
+
+        // Auto mode: CloudEvents headers or the Content-Type header (if known) select the decoder
+        let effectiveMode = parseMode;
+        if (parseMode === 'auto' && isCloudEventMessage(msg.headers)) {
+          effectiveMode = 'cloudevents';
+        } else if (parseMode === 'auto') {
+          effectiveMode = getFormatForContentType(getContentType(msg.headers)) || 'auto';
+          // Protobuf without a schema can't be decoded, pass the raw bytes
+          if (effectiveMode === 'protobuf' && !protobufSchema) {
+            effectiveMode = 'buffer';
+          }
+        }
+
+        let protobufType = null;
+        let cloudEvent = null;
         
-        switch (parseMode) {
+        switch (effectiveMode) {
+          case 'cloudevents':
+            // CloudEvents: Binary (ce-* headers) or structured (JSON envelope) mode
+            try {
+              const parsed = parseCloudEvent(msg.headers, msg.data, true);
+              if (!parsed) {
+                throw Object.assign(new Error('Message is not a CloudEvent'), { code: 'CLOUDEVENTS_ERROR' });
+              }
+              cloudEvent = parsed.event;
+              parsedPayload = parsed.data;
+              if (isDebug) {
+                node.log(`[[NATS-SUITE SUBSCRIBE] Parsed CloudEvent ${cloudEvent.type} (${cloudEvent.id})`);
+              }
+            } catch (parseError) {
+              node.error({
+                message: parseError.message,
+                code: parseError.code || 'CLOUDEVENTS_ERROR'
+              }, {
+                topic: msg.subject,
+                rawData: msg.data
+              });
+              return; // Stop processing on error
+            }
+            break;
+
+
+          case 'protobuf':
+            protobufType = config.protobufType || getHeader(msg.headers, PROTOBUF_TYPE_HEADER);
+            try {
+              if (!protobufSchema) {
+                throw Object.assign(new Error('Protobuf schema configuration not found'), { code: 'PROTOBUF_SCHEMA_ERROR' });
+              }
+              if (!protobufType) {
+                throw Object.assign(new Error('No message type configured and no Protobuf-Type header'), { code: 'PROTOBUF_UNKNOWN_TYPE' });
+              }
+              parsedPayload = await protobufSchema.decode(protobufType, msg.data);
+              if (isDebug) {
+                node.log(`[[NATS-SUITE SUBSCRIBE] Decoded message as protobuf ${protobufType}`);
+              }
+            } catch (decodeError) {
+              node.error({
+                message: decodeError.message,
+                code: decodeError.code || 'PROTOBUF_DECODE_ERROR',
+                type: protobufType,
+                field: decodeError.field || null
+              }, {
+                topic: msg.subject,
+                rawData: msg.data
+              });
+              return; // Stop processing on error
+            }
+            break;
+
+
+          case 'msgpack':
+          case 'cbor':
+            try {
+              parsedPayload = getCodec(effectiveMode).decode(msg.data);
+              if (isDebug) {
+                node.log(`[[NATS-SUITE SUBSCRIBE] Decoded message as ${effectiveMode}`);
+              }
+            } catch (decodeError) {
+              node.error({
+                message: `${effectiveMode} decoding failed`,
+                code: 'DECODE_ERROR',
+                originalError: decodeError.message
+              }, {
+                topic: msg.subject,
+                rawData: msg.data
+              });
+              return; // Stop processing on error
+            }
+            break;
+            
+
           case 'auto':
             // Auto-detect: Try JSON, fallback to string
             if (typeof message === 'string' && message.trim().length > 0) {
@@ -298,6 +535,28 @@ module.exports = function (RED) {
             topic: msg.subject,
             payload: parsedPayload
           };
+          if (protobufType) {
+            send_message.protobufType = protobufType;
+          }
+          if (cloudEvent) {
+            send_message.event = cloudEvent;
+          }
+        }
+
+        // Add headers and status code if present
+        if (msg.headers) {
+          send_message.headers = headersToObject(msg.headers, keepHeaderArrays);
+          if (msg.headers.code > 0) {
+            send_message.statusCode = msg.headers.code;
+            send_message.statusDescription = msg.headers.description;
+          }
+        }
+
+        if (signedBy) {
+          send_message.signedBy = signedBy;
+        }
+        if (claimReference) {
+          send_message.claimCheck = claimReference;
         }
 
         // Add reply subject if present
@@ -309,11 +568,17 @@ module.exports = function (RED) {
           }
         }
 
+        // Deduplication: Record the ID (a copy may have been sent while this one was fetched)
+        if (msgId && dedupWindow.isDuplicate(msgId)) {
+          dropDuplicate();
+          return;
+        }
+
         if (isDebug) {
           node.log(`[[NATS-SUITE SUBSCRIBE] Sending output message`);
         }
 
-        node.send(send_message);
+        sendMessage(send_message);
       } catch (err) {
         const cleanError = {
           message: err.message || 'Unknown error',
@@ -332,9 +597,58 @@ module.exports = function (RED) {
       }
     };
 
+    // Helper function: Create a subscription on the given connection and start its message listener
+    const openSubscription = (natsnc, targetSubject, targetQueueGroup) => {
+      let sub;
+      if (targetQueueGroup) {
+        // Subscribe with queue group for load balancing
+        sub = natsnc.subscribe(targetSubject, { queue: targetQueueGroup });
+        node.log(`Subscribed to "${targetSubject}" with queue group "${targetQueueGroup}"`);
+        if (isDebug) {
+          node.log(`[[NATS-SUITE SUBSCRIBE] Subscription created for "${targetSubject}" with queue "${targetQueueGroup}"`);
+        }
+      } else {
+        // Regular subscription without queue group
+        sub = natsnc.subscribe(targetSubject);
+        node.log(`Subscribed to "${targetSubject}"`);
+        if (isDebug) {
+          node.log(`[[NATS-SUITE SUBSCRIBE] Subscription created for "${targetSubject}"`);
+        }
+      }
+      
+      // Async iterator for message processing
+      (async () => {
+        try {
+          if (isDebug) {
+            node.log(`[[NATS-SUITE SUBSCRIBE] Message listener started, waiting for messages...`);
+          }
+          for await (const msg of sub) {
+            await processMessage(msg);
+          }
+        } catch (err) {
+          // Iterator was stopped or error occurred (permission violations are reported by the server config)
+          if (err.code !== NATS_ERROR_CODES.CANCELLED && err.code !== NATS_ERROR_CODES.BAD_SUBSCRIPTION &&
+              err.code !== NATS_ERROR_CODES.PERMISSIONS_VIOLATION) {
+            const cleanError = {
+              message: err.message,
+              code: err.code,
+              name: err.name,
+            };
+            if (isDebug) {
+              node.log(`[[NATS-SUITE SUBSCRIBE] Iterator error: ${err.code} - ${err.message}`);
+            }
+            node.error(cleanError, { topic: currentSubject });
+          }
+        }
+      })();
+      
+      return sub;
+    };
+
     const setupSubscription = async (newSubject = null, newQueueGroup = null) => {
       try {
-        const natsnc = await this.config.getConnection();
+        // Make sure a connection attempt is running; the registry opens the subscription on it
+        await this.config.getConnection();
         
         // Determine subject to use
         // If newSubject is explicitly null, keep current; if undefined, use current/base
@@ -362,8 +676,8 @@ module.exports = function (RED) {
         // Determine queue group
         const targetQueueGroup = newQueueGroup !== null ? newQueueGroup : queueGroup;
         
-        // Check if subscription already exists and is active
-        const hasActiveSubscription = subscription !== null;
+        // Check if subscription already exists (it may be waiting for a connection)
+        const hasActiveSubscription = subscriptionRegistered;
         
         // Only update if subject or queue group actually changed, OR if no subscription exists yet
         const subjectChanged = targetSubject !== currentSubject;
@@ -372,17 +686,12 @@ module.exports = function (RED) {
         
         if (needsNewSubscription) {
           // Cleanup old subscription
-          if (subscription) {
+          if (subscriptionRegistered) {
             if (isDebug) {
               node.log(`[[NATS-SUITE SUBSCRIBE] Unsubscribing from previous subscription`);
             }
-            subscription.unsubscribe();
-            subscription = null;
-          }
-          
-          // Cleanup running iterator
-          if (subscriptionIterator) {
-            subscriptionIterator = null;
+            await this.config.unregisterSubscription(node.id);
+            subscriptionRegistered = false;
           }
           
           // Update current subject and queue group
@@ -393,47 +702,19 @@ module.exports = function (RED) {
           return;
         }
         
-        // New subscription with modern Async Iterator API
-        if (targetQueueGroup) {
-          // Subscribe with queue group for load balancing
-          subscription = natsnc.subscribe(targetSubject, { queue: targetQueueGroup });
-          node.log(`Subscribed to "${targetSubject}" with queue group "${targetQueueGroup}"`);
-          if (isDebug) {
-            node.log(`[[NATS-SUITE SUBSCRIBE] Subscription created for "${targetSubject}" with queue "${targetQueueGroup}"`);
-          }
-        } else {
-          // Regular subscription without queue group
-          subscription = natsnc.subscribe(targetSubject);
-          node.log(`Subscribed to "${targetSubject}"`);
-          if (isDebug) {
-            node.log(`[[NATS-SUITE SUBSCRIBE] Subscription created for "${targetSubject}"`);
-          }
-        }
-        
-        // Async iterator for message processing
-        subscriptionIterator = (async () => {
-          try {
+        // Subscription Registry: the server config re-creates the subscription after a reconnect
+        await this.config.registerSubscription(node.id, {
+          nodeId: node.id,
+          create: (nc) => openSubscription(nc, targetSubject, targetQueueGroup),
+          onRestored: () => {
+            setStatusGreen();
             if (isDebug) {
-              node.log(`[[NATS-SUITE SUBSCRIBE] Message listener started, waiting for messages...`);
-            }
-            for await (const msg of subscription) {
-              processMessage(msg);
-            }
-          } catch (err) {
-            // Iterator was stopped or error occurred
-            if (err.code !== NATS_ERROR_CODES.CANCELLED && err.code !== NATS_ERROR_CODES.BAD_SUBSCRIPTION) {
-              const cleanError = {
-                message: err.message,
-                code: err.code,
-                name: err.name,
-              };
-              if (isDebug) {
-                node.log(`[[NATS-SUITE SUBSCRIBE] Iterator error: ${err.code} - ${err.message}`);
-              }
-              node.error(cleanError, { topic: currentSubject });
+              node.log(`[[NATS-SUITE SUBSCRIBE] Subscription to "${targetSubject}" restored on new connection`);
             }
-          }
-        })();
+          },
+          onError: () => setStatusRed()
+        });
+        subscriptionRegistered = true;
         
       } catch (err) {
         const cleanError = {
@@ -487,11 +768,8 @@ module.exports = function (RED) {
             connectionTimeout = null;
           }
           
+          // Subscription died with the connection; the registry re-creates it on reconnect
           setStatusRed();
-          if (subscription) {
-            subscription.unsubscribe();
-            subscription = null;
-          }
           break;
         case 'connecting':
           if (isDebug) {
@@ -616,15 +894,17 @@ module.exports = function (RED) {
     });
 
     // on node close
-    node.on('close', function (done) {
-      if (subscription) {
-        node.log('Unsubscribing from subscription on close');
-        subscription.unsubscribe();
-      }
+    node.on('close', async function (done) {
       if (connectionTimeout) {
         clearTimeout(connectionTimeout);
       }
       this.config.removeStatusListener(statusListener);
+      if (subscriptionRegistered) {
+        node.log('Draining subscription on close');
+        subscriptionRegistered = false;
+        // Drain: messages already received are still sent downstream
+        await this.config.unregisterSubscription(node.id, { drain: true });
+      }
       // Connection Pool: Unregister this node as connection user
       this.config.unregisterConnectionUser(node.id);
       done();
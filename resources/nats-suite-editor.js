@@ -0,0 +1,39 @@
+// Shared editor helpers of the NATS Suite nodes, served by Node-RED from the resources/ directory
+// and loaded once by the server config node (nats-suite-server.html)
+(function () {
+  // Resource picker: suggest existing resources of the selected server, warn about unknown names.
+  // getPath returns the admin route below nats-suite-server/:id (null while a parent name is missing).
+  const resourcePicker = (field, label, getPath, warnIfMissing = true) => {
+    const $input = $('#node-input-' + field);
+    const $list = $('<datalist>').attr('id', 'nats-' + field + '-list').insertAfter($input);
+    const $warning = $('<div class="nats-hint nats-resource-warning">').hide().insertAfter($list);
+    $input.attr({ list: $list.attr('id'), autocomplete: 'off' });
+    let known = null;
+    const check = () => {
+      const value = $input.val().trim();
+      const missing = warnIfMissing && known !== null && value !== '' && !known.includes(value);
+      $warning.html('<i class="fa fa-exclamation-triangle"></i> ' + label + ' "' + RED.utils.sanitize(value) +
+        '" does not exist on this server yet').toggle(missing);
+    };
+    const load = () => {
+      known = null;
+      $list.empty();
+      check();
+      const serverId = $('#node-input-server').val();
+      const resourcePath = getPath();
+      if (!serverId || serverId === '_ADD_' || !resourcePath) return;
+      $.getJSON('nats-suite-server/' + encodeURIComponent(serverId) + resourcePath).done(function(items) {
+        known = items.map(item => typeof item === 'string' ? item : item.name);
+        known.forEach(name => $('<option>').val(name).appendTo($list));
+        check();
+      });
+    };
+    $input.on('input change', check);
+    $('#node-input-server').on('change', load);
+    load();
+    return { load: load };
+  };
+
+  window.NatsSuiteEditor = window.NatsSuiteEditor || {};
+  window.NatsSuiteEditor.resourcePicker = resourcePicker;
+})();